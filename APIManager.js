@@ -298,6 +298,13 @@ class APIManager {
     return deleted;
   }
 
+  /**
+   * Forward EventBus events to webhooks registered cho event type đó
+   */
+  subscribeToEvents(eventBus) {
+    return eventBus.on('*', (event) => this.triggerWebhooks(event.type, event.payload));
+  }
+
   /**
    * Trigger webhooks
    */
@@ -0,0 +1,132 @@
+/**
+ * BadgeController - Toolbar badge (xem BADGE_SYSTEM.md)
+ * Hiển thị % RAM theo status, temporary states cho actions
+ */
+
+class BadgeController {
+  constructor() {
+    this.colors = {
+      primary: '#0078d4',
+      success: '#107c10',
+      warning: '#ff8c00',
+      error: '#d13438',
+      inactive: '#999999'
+    };
+
+    this.statusColors = {
+      optimal: this.colors.success,
+      elevated: this.colors.primary,
+      warning: this.colors.warning,
+      critical: this.colors.error
+    };
+
+    this.memory = null;
+    this.forecast = null;
+    this.tempTimer = null;
+  }
+
+  /**
+   * Update badge từ memory info (default state)
+   */
+  async showMemory(memory) {
+    if (!memory) return;
+
+    this.memory = memory;
+
+    // Tooltip luôn cập nhật, kể cả khi đang temporary state
+    await this.updateTitle();
+
+    if (!this.tempTimer) {
+      await this.render();
+    }
+  }
+
+  /**
+   * Forecast early warning (null = clear): warning color + tooltip ETA
+   */
+  async showForecast(forecast) {
+    this.forecast = forecast;
+
+    if (!this.memory) return;
+
+    await this.updateTitle();
+
+    if (!this.tempTimer) {
+      await this.render();
+    }
+  }
+
+  /**
+   * Render default state
+   */
+  async render() {
+    if (!this.memory) {
+      await this.setBadge('', null);
+      return;
+    }
+
+    const text = Math.round(this.memory.usagePercent) + '%';
+    const forecastWarning = this.forecast && this.memory.status !== 'critical';
+    const color = forecastWarning
+      ? this.colors.warning
+      : this.statusColors[this.memory.status] || this.colors.primary;
+    await this.setBadge(text, color);
+  }
+
+  /**
+   * Tooltip với used/available MB
+   */
+  async updateTitle() {
+    const { usedMB, availableMB, totalMB, usagePercent, status } = this.memory;
+
+    await chrome.action.setTitle({
+      title: `RAM Monitor\n` +
+        `Used: ${usedMB} MB / ${totalMB} MB (${usagePercent}%)\n` +
+        `Available: ${availableMB} MB\n` +
+        `Status: ${status}` +
+        (this.forecast ? `\nForecast: ~${Math.ceil(this.forecast.etaMinutes)} min to ${this.forecast.threshold}%` : '')
+    });
+  }
+
+  /**
+   * Temporary state, auto revert về default
+   */
+  async flash(text, color, duration = 2000) {
+    if (this.tempTimer) {
+      clearTimeout(this.tempTimer);
+    }
+
+    await this.setBadge(text, color);
+
+    this.tempTimer = setTimeout(() => {
+      this.tempTimer = null;
+      this.render();
+    }, duration);
+  }
+
+  /**
+   * New install state
+   */
+  async showNewInstall() {
+    await this.flash('NEW', this.colors.primary, 10000);
+  }
+
+  /**
+   * Set badge text & color
+   */
+  async setBadge(text, color) {
+    try {
+      await chrome.action.setBadgeText({ text });
+      if (color) {
+        await chrome.action.setBadgeBackgroundColor({ color });
+      }
+    } catch (error) {
+      console.error('[BadgeController] Badge error:', error);
+    }
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BadgeController;
+}
@@ -0,0 +1,233 @@
+/**
+ * CommandRegistry - Background message API
+ * Mỗi command khai báo schema, module, permission level, version; lỗi trả về error code
+ */
+
+class CommandRegistry {
+  constructor() {
+    this.commands = new Map();
+
+    this.errorCodes = {
+      NOT_READY: 'NOT_READY',
+      INVALID_REQUEST: 'INVALID_REQUEST',
+      UNKNOWN_COMMAND: 'UNKNOWN_COMMAND',
+      UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+      PERMISSION_DENIED: 'PERMISSION_DENIED',
+      INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+      HANDLER_ERROR: 'HANDLER_ERROR'
+    };
+
+    // extension = popup/extension pages, content = content scripts, public = both
+    this.permissions = ['extension', 'content', 'public'];
+  }
+
+  /**
+   * Register command
+   * @param {string} name - request.action
+   * @param {Object} definition - { module, permission, version, description, schema, handler }
+   */
+  register(name, definition) {
+    if (this.commands.has(name)) {
+      throw new Error('Command already registered: ' + name);
+    }
+
+    const command = {
+      name,
+      module: definition.module,
+      permission: definition.permission || 'extension',
+      version: definition.version || 1,
+      description: definition.description || '',
+      schema: definition.schema || {},
+      handler: definition.handler
+    };
+
+    if (!this.permissions.includes(command.permission)) {
+      throw new Error(`Invalid permission for ${name}: ${command.permission}`);
+    }
+
+    if (typeof command.handler !== 'function') {
+      throw new Error('Command handler required: ' + name);
+    }
+
+    this.commands.set(name, command);
+    return command;
+  }
+
+  /**
+   * Execute request → { success, data } | { success: false, error, code, details }
+   */
+  async execute(request, sender = {}) {
+    if (!request || typeof request !== 'object' || typeof request.action !== 'string') {
+      return this.failure('INVALID_REQUEST', 'Request must be an object with an action');
+    }
+
+    const command = this.commands.get(request.action);
+    if (!command) {
+      return this.failure('UNKNOWN_COMMAND', 'Unknown action: ' + request.action);
+    }
+
+    if (request.version !== undefined &&
+        (!Number.isInteger(request.version) || request.version < 1 || request.version > command.version)) {
+      return this.failure('UNSUPPORTED_VERSION',
+        `${command.name} supports version 1-${command.version}`, { version: command.version });
+    }
+
+    if (!this.isAllowed(command.permission, sender)) {
+      return this.failure('PERMISSION_DENIED',
+        `${command.name} requires ${command.permission} permission`, { permission: command.permission });
+    }
+
+    const errors = this.validate(command.schema, request);
+    if (errors.length > 0) {
+      return this.failure('INVALID_PAYLOAD',
+        `Invalid ${command.name} request: ${errors[0].field} ${errors[0].message}`, { errors });
+    }
+
+    try {
+      const data = await command.handler(request, sender);
+      return data === undefined ? { success: true } : { success: true, data };
+    } catch (error) {
+      console.error('[CommandRegistry] Handler error:', command.name, error);
+      return this.failure('HANDLER_ERROR', error.message);
+    }
+  }
+
+  /**
+   * Sender có đủ permission không
+   */
+  isAllowed(permission, sender) {
+    // Extension pages opened in a tab also have sender.tab
+    const extensionPage = typeof sender.url === 'string' && sender.url.startsWith(chrome.runtime.getURL(''));
+    const fromContent = !!sender.tab && !extensionPage;
+
+    switch (permission) {
+      case 'public':
+        return true;
+      case 'content':
+        return fromContent;
+      case 'extension':
+        return !fromContent;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Validate payload → [{ field, message }]
+   * Rule: { type, required, min, max, minLength, maxLength, pattern, enum, items, properties, additionalProperties }
+   */
+  validate(schema, payload, path = '') {
+    const errors = [];
+
+    for (const [key, rule] of Object.entries(schema)) {
+      const value = payload[key];
+      const field = path ? `${path}.${key}` : key;
+
+      if (value === undefined || value === null) {
+        if (rule.required) errors.push({ field, message: 'is required' });
+        continue;
+      }
+
+      errors.push(...this.validateValue(rule, value, field));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate một value theo rule
+   */
+  validateValue(rule, value, field) {
+    if (!this.checkType(rule.type, value)) {
+      return [{ field, message: 'must be ' + (rule.type === 'integer' ? 'an integer' : 'a ' + rule.type) }];
+    }
+
+    const errors = [];
+
+    if (rule.enum && !rule.enum.includes(value)) {
+      errors.push({ field, message: 'must be one of ' + rule.enum.join(', ') });
+    }
+
+    if (typeof value === 'number') {
+      if (rule.min !== undefined && value < rule.min) errors.push({ field, message: 'must be >= ' + rule.min });
+      if (rule.max !== undefined && value > rule.max) errors.push({ field, message: 'must be <= ' + rule.max });
+    }
+
+    if (typeof value === 'string' || Array.isArray(value)) {
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        errors.push({ field, message: 'must have length >= ' + rule.minLength });
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        errors.push({ field, message: 'must have length <= ' + rule.maxLength });
+      }
+    }
+
+    if (rule.pattern && typeof value === 'string' && !new RegExp(rule.pattern).test(value)) {
+      errors.push({ field, message: 'has invalid format' });
+    }
+
+    if (rule.items && Array.isArray(value)) {
+      value.forEach((item, i) => {
+        errors.push(...this.validateValue(rule.items, item, `${field}[${i}]`));
+      });
+    }
+
+    if (rule.properties && rule.type === 'object') {
+      errors.push(...this.validate(rule.properties, value, field));
+
+      if (rule.additionalProperties === false) {
+        for (const key of Object.keys(value)) {
+          if (!(key in rule.properties)) {
+            errors.push({ field: `${field}.${key}`, message: 'is not allowed' });
+          }
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Type check
+   */
+  checkType(type, value) {
+    switch (type) {
+      case undefined:
+      case 'any':
+        return true;
+      case 'integer':
+        return Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return typeof value === 'object' && !Array.isArray(value);
+      default:
+        return typeof value === type;
+    }
+  }
+
+  /**
+   * Structured error response (code from errorCodes)
+   */
+  failure(code, message, details = null) {
+    const response = { success: false, error: message, code: this.errorCodes[code] };
+    if (details) response.details = details;
+    return response;
+  }
+
+  /**
+   * Introspection - command list (không có handler)
+   */
+  list() {
+    return Array.from(this.commands.values())
+      .map(({ handler, ...command }) => command)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CommandRegistry;
+}
@@ -0,0 +1,108 @@
+/**
+ * DuplicateDetector - Exact và normalized-URL duplicate tabs
+ * Bỏ qua tracking params + fragment, giữ bản active gần nhất khi merge
+ */
+
+class DuplicateDetector {
+  constructor() {
+    // Query params that never change page content
+    this.trackingParams = new Set([
+      'fbclid', 'gclid', 'dclid', 'gclsrc', 'msclkid', 'yclid', 'twclid', 'igshid',
+      'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok',
+      'ref_src', 'ref_url', 'si', 'spm', 'vero_id', 'oly_enc_id', 'oly_anon_id'
+    ]);
+    this.trackingPrefixes = ['utm_', 'pk_', 'hsa_'];
+  }
+
+  /**
+   * Normalize URL cho so sánh (null = không phải web page)
+   */
+  normalize(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return null;
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return null;
+    }
+
+    const params = Array.from(parsed.searchParams.entries())
+      .filter(([key]) => !this.isTrackingParam(key))
+      .sort(([a], [b]) => a.localeCompare(b));
+
+    const hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const path = parsed.pathname.length > 1 ? parsed.pathname.replace(/\/+$/, '') : '/';
+    const query = params.length > 0 ? '?' + new URLSearchParams(params).toString() : '';
+    const port = parsed.port ? ':' + parsed.port : '';
+
+    return `${hostname}${port}${path}${query}`;
+  }
+
+  /**
+   * Tracking param check
+   */
+  isTrackingParam(key) {
+    const name = key.toLowerCase();
+    return this.trackingParams.has(name) || this.trackingPrefixes.some(prefix => name.startsWith(prefix));
+  }
+
+  /**
+   * Find duplicate sets
+   * @param {Array} tabs - tabs from getTabsInfo
+   */
+  find(tabs) {
+    const sets = new Map();
+
+    for (const tab of tabs) {
+      const key = this.normalize(tab.url);
+      if (!key) continue;
+
+      if (!sets.has(key)) sets.set(key, []);
+      sets.get(key).push(tab);
+    }
+
+    const duplicates = [];
+
+    for (const [normalizedUrl, copies] of sets) {
+      if (copies.length < 2) continue;
+
+      // Most recently active copy wins (current tab breaks ties)
+      const sorted = copies.slice().sort((a, b) =>
+        (b.lastActivity - a.lastActivity) || (Number(b.isActive) - Number(a.isActive)));
+      const keep = sorted[0];
+
+      // Never close pinned / audible copies
+      const closable = sorted.slice(1).filter(tab => !tab.pinned && !tab.audible);
+
+      duplicates.push({
+        normalizedUrl,
+        title: keep.title,
+        exact: copies.every(tab => tab.url === keep.url),
+        count: copies.length,
+        keepTabId: keep.id,
+        duplicateTabIds: closable.map(tab => tab.id),
+        // Discarded copies already hold almost nothing
+        savingsMB: closable.filter(tab => !tab.discarded).reduce((sum, tab) => sum + tab.estimatedRAM, 0),
+        tabs: sorted.map(tab => ({
+          id: tab.id,
+          title: tab.title,
+          url: tab.url,
+          windowId: tab.windowId,
+          ram: tab.estimatedRAM,
+          ramSource: tab.ramSource,
+          lastActivity: tab.lastActivity
+        }))
+      });
+    }
+
+    return duplicates.sort((a, b) => b.savingsMB - a.savingsMB);
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DuplicateDetector;
+}
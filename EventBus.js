@@ -0,0 +1,174 @@
+/**
+ * EventBus - Typed events trong service worker
+ * Subscribers: badge, popup port, webhooks, policy code; replay N events gần nhất
+ */
+
+class EventBus {
+  constructor() {
+    this.types = [
+      'status_changed',
+      'threshold_crossed',
+      'forecast_warning',
+      'tab_created',
+      'tab_discarded',
+      'rules_changed',
+      'config_changed'
+    ];
+
+    this.handlers = new Map();
+    this.history = [];
+    this.maxHistory = 100;
+    this.sequence = 0;
+
+    // Debounce timers
+    this.saveTimeout = null;
+  }
+
+  /**
+   * Initialize - restore events of the current browser session
+   */
+  async initialize() {
+    try {
+      const stored = await chrome.storage.session.get('eventHistory');
+
+      if (stored.eventHistory) {
+        this.history = stored.eventHistory;
+        this.sequence = this.history.length > 0 ? this.history[this.history.length - 1].id : 0;
+      }
+
+      console.log('[EventBus] Initialized:', {
+        events: this.history.length
+      });
+    } catch (error) {
+      console.error('[EventBus] Init error:', error);
+    }
+
+    return this;
+  }
+
+  /**
+   * Subscribe ('*' = all types), trả về unsubscribe function
+   */
+  on(type, handler) {
+    if (type !== '*' && !this.types.includes(type)) {
+      throw new Error('Unknown event type: ' + type);
+    }
+
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, new Set());
+    }
+    this.handlers.get(type).add(handler);
+
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Unsubscribe
+   */
+  off(type, handler) {
+    const handlers = this.handlers.get(type);
+    return handlers ? handlers.delete(handler) : false;
+  }
+
+  /**
+   * Emit event - handlers không block emitter, lỗi chỉ được log
+   */
+  emit(type, payload = {}) {
+    if (!this.types.includes(type)) {
+      throw new Error('Unknown event type: ' + type);
+    }
+
+    const event = {
+      id: ++this.sequence,
+      type,
+      timestamp: Date.now(),
+      payload
+    };
+
+    this.history.push(event);
+    if (this.history.length > this.maxHistory) {
+      this.history.splice(0, this.history.length - this.maxHistory);
+    }
+    this.save();
+
+    const handlers = [
+      ...(this.handlers.get(type) || []),
+      ...(this.handlers.get('*') || [])
+    ];
+
+    for (const handler of handlers) {
+      try {
+        Promise.resolve(handler(event)).catch(error => {
+          console.error('[EventBus] Handler error:', type, error);
+        });
+      } catch (error) {
+        console.error('[EventBus] Handler error:', type, error);
+      }
+    }
+
+    return event;
+  }
+
+  /**
+   * Last N events (oldest first), optionally filtered by type
+   */
+  replay(limit = 20, types = null) {
+    const events = types && types.length > 0
+      ? this.history.filter(event => types.includes(event.type))
+      : this.history;
+
+    return events.slice(-limit);
+  }
+
+  /**
+   * Remove buffered events matching predicate (e.g. excluded domains)
+   */
+  purge(predicate) {
+    const before = this.history.length;
+    this.history = this.history.filter(event => !predicate(event));
+
+    const removed = before - this.history.length;
+    if (removed > 0) this.save();
+    return removed;
+  }
+
+  /**
+   * Save history (debounced)
+   */
+  save() {
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+    }
+
+    this.saveTimeout = setTimeout(async () => {
+      try {
+        await chrome.storage.session.set({ eventHistory: this.history });
+      } catch (error) {
+        console.error('[EventBus] Save error:', error);
+      }
+    }, 1000);
+  }
+
+  /**
+   * Get statistics
+   */
+  getStats() {
+    const counts = {};
+    for (const event of this.history) {
+      counts[event.type] = (counts[event.type] || 0) + 1;
+    }
+
+    return {
+      types: this.types,
+      buffered: this.history.length,
+      lastEventId: this.sequence,
+      subscribers: Array.from(this.handlers.values()).reduce((sum, set) => sum + set.size, 0),
+      counts
+    };
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EventBus;
+}
@@ -0,0 +1,175 @@
+/**
+ * LeakDetector - Per-tab memory growth tracking
+ * Flag tabs có memory tăng đều (linear fit) vượt slope/duration cấu hình
+ */
+
+class LeakDetector {
+  constructor() {
+    this.series = new Map();
+    this.maxSamples = 120;
+    this.minRSquared = 0.7;
+
+    // Debounce timers
+    this.saveTimeout = null;
+  }
+
+  /**
+   * Initialize - restore series of the current browser session
+   */
+  async initialize() {
+    try {
+      const stored = await chrome.storage.session.get('leakSeries');
+
+      if (stored.leakSeries) {
+        for (const [tabId, entry] of Object.entries(stored.leakSeries)) {
+          this.series.set(Number(tabId), entry);
+        }
+      }
+
+      console.log('[LeakDetector] Initialized:', {
+        trackedTabs: this.series.size
+      });
+    } catch (error) {
+      console.error('[LeakDetector] Init error:', error);
+    }
+
+    return this;
+  }
+
+  /**
+   * Record measured RAM of each tab from a monitorRAM sample
+   */
+  record(tabs) {
+    const openTabs = new Set(tabs.map(tab => tab.id));
+
+    for (const tab of tabs) {
+      if (!tab.measurement) continue;
+
+      let entry = this.series.get(tab.id);
+
+      // Navigation starts a new page → new curve
+      if (!entry || entry.url !== tab.url) {
+        entry = { url: tab.url, samples: [] };
+        this.series.set(tab.id, entry);
+      }
+
+      const last = entry.samples[entry.samples.length - 1];
+      if (last && last.t === tab.measurement.timestamp) continue;
+
+      entry.samples.push({ t: tab.measurement.timestamp, ram: tab.measurement.ramMB });
+      if (entry.samples.length > this.maxSamples) {
+        entry.samples.splice(0, entry.samples.length - this.maxSamples);
+      }
+    }
+
+    // Drop closed tabs
+    for (const tabId of this.series.keys()) {
+      if (!openTabs.has(tabId)) this.series.delete(tabId);
+    }
+
+    this.save();
+  }
+
+  /**
+   * Linear fit of RAM over time (MB per minute)
+   */
+  analyze(samples) {
+    const n = samples.length;
+    const t0 = samples[0].t;
+    const xs = samples.map(s => (s.t - t0) / 60000);
+    const ys = samples.map(s => s.ram);
+
+    const meanX = xs.reduce((a, b) => a + b, 0) / n;
+    const meanY = ys.reduce((a, b) => a + b, 0) / n;
+
+    let sxy = 0, sxx = 0, syy = 0;
+    for (let i = 0; i < n; i++) {
+      sxy += (xs[i] - meanX) * (ys[i] - meanY);
+      sxx += (xs[i] - meanX) ** 2;
+      syy += (ys[i] - meanY) ** 2;
+    }
+
+    if (sxx === 0) return { slope: 0, rSquared: 0, durationMinutes: 0 };
+
+    const slope = sxy / sxx;
+    const rSquared = syy === 0 ? 0 : (sxy * sxy) / (sxx * syy);
+
+    return {
+      slope,
+      rSquared,
+      durationMinutes: xs[n - 1]
+    };
+  }
+
+  /**
+   * Get flagged tabs
+   * @param {Array} tabs - tabs from getTabsInfo
+   * @param {Object} config - { leakSlopeThreshold, leakMinDuration, leakMinSamples }
+   */
+  getLeaks(tabs, config) {
+    const leaks = [];
+
+    for (const tab of tabs) {
+      const entry = this.series.get(tab.id);
+      if (!entry || entry.samples.length < config.leakMinSamples) continue;
+
+      const { slope, rSquared, durationMinutes } = this.analyze(entry.samples);
+
+      if (slope < config.leakSlopeThreshold) continue;
+      if (durationMinutes < config.leakMinDuration) continue;
+      if (rSquared < this.minRSquared) continue;
+
+      const first = entry.samples[0];
+      const last = entry.samples[entry.samples.length - 1];
+
+      leaks.push({
+        tabId: tab.id,
+        title: tab.title,
+        url: tab.url,
+        slopeMBPerMin: parseFloat(slope.toFixed(2)),
+        rSquared: parseFloat(rSquared.toFixed(2)),
+        durationMinutes: Math.round(durationMinutes),
+        startRAM: first.ram,
+        currentRAM: last.ram,
+        growthMB: last.ram - first.ram,
+        curve: entry.samples,
+        suggestion: 'reload'
+      });
+    }
+
+    return leaks.sort((a, b) => b.slopeMBPerMin - a.slopeMBPerMin);
+  }
+
+  /**
+   * Reset curve (after reload)
+   */
+  reset(tabId) {
+    if (this.series.delete(tabId)) {
+      this.save();
+    }
+  }
+
+  /**
+   * Save series (debounced)
+   */
+  save() {
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+    }
+
+    this.saveTimeout = setTimeout(async () => {
+      try {
+        await chrome.storage.session.set({
+          leakSeries: Object.fromEntries(this.series)
+        });
+      } catch (error) {
+        console.error('[LeakDetector] Save error:', error);
+      }
+    }, 1000);
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LeakDetector;
+}
@@ -0,0 +1,157 @@
+/**
+ * MemoryForecaster - Dự đoán thời điểm RAM vượt emergencyThreshold
+ * Linear + exponential trend fit trên samples gần nhất
+ */
+
+class MemoryForecaster {
+  constructor() {
+    this.minSamples = 5;
+    this.fullConfidenceSamples = 15;
+    this.fullConfidenceSpan = 10; // minutes
+  }
+
+  /**
+   * Forecast time-to-threshold
+   * @param {Array} samples - [{ t, usagePercent }] sorted by time
+   * @param {number} threshold - usage percent to forecast
+   */
+  forecast(samples, threshold) {
+    const points = samples.filter(s => typeof s.usagePercent === 'number');
+
+    const base = {
+      threshold,
+      samples: points.length,
+      method: null,
+      trend: 'unknown',
+      slopePerMinute: 0,
+      rSquared: 0,
+      confidence: 0,
+      etaMinutes: null,
+      crossesAt: null
+    };
+
+    if (points.length < this.minSamples) {
+      return base;
+    }
+
+    const t0 = points[0].t;
+    const xs = points.map(p => (p.t - t0) / 60000);
+    const ys = points.map(p => p.usagePercent);
+    const xLast = xs[xs.length - 1];
+    const yLast = ys[ys.length - 1];
+
+    // Already above threshold
+    if (yLast >= threshold) {
+      return { ...base, trend: 'critical', etaMinutes: 0, crossesAt: points[points.length - 1].t, confidence: 1 };
+    }
+
+    const fits = [this.fitLinear(xs, ys), this.fitExponential(xs, ys)].filter(Boolean);
+    if (fits.length === 0) return base;
+
+    const best = fits.sort((a, b) => b.rSquared - a.rSquared)[0];
+    const slopePerMinute = best.rate(xLast);
+    const trend = slopePerMinute > 0.01 ? 'rising' : slopePerMinute < -0.01 ? 'falling' : 'stable';
+
+    // Fewer/shorter samples → less confidence
+    const sampleFactor = Math.min(1, points.length / this.fullConfidenceSamples);
+    const spanFactor = Math.min(1, xLast / this.fullConfidenceSpan);
+    const confidence = parseFloat((best.rSquared * sampleFactor * spanFactor).toFixed(2));
+
+    const result = {
+      ...base,
+      method: best.method,
+      trend,
+      slopePerMinute: parseFloat(slopePerMinute.toFixed(3)),
+      rSquared: parseFloat(best.rSquared.toFixed(3)),
+      confidence
+    };
+
+    if (trend !== 'rising') return result;
+
+    const crossX = best.solve(threshold);
+    if (crossX === null || crossX < xLast) return result;
+
+    const etaMinutes = crossX - xLast;
+    return {
+      ...result,
+      etaMinutes: parseFloat(etaMinutes.toFixed(1)),
+      crossesAt: Math.round(points[points.length - 1].t + etaMinutes * 60000)
+    };
+  }
+
+  /**
+   * Least squares y = a + b·x
+   */
+  regress(xs, ys) {
+    const n = xs.length;
+    const meanX = xs.reduce((a, b) => a + b, 0) / n;
+    const meanY = ys.reduce((a, b) => a + b, 0) / n;
+
+    let sxy = 0, sxx = 0;
+    for (let i = 0; i < n; i++) {
+      sxy += (xs[i] - meanX) * (ys[i] - meanY);
+      sxx += (xs[i] - meanX) ** 2;
+    }
+
+    if (sxx === 0) return null;
+
+    const b = sxy / sxx;
+    return { a: meanY - b * meanX, b };
+  }
+
+  /**
+   * R² of predictions in original space
+   */
+  rSquared(xs, ys, predict) {
+    const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+    let ssRes = 0, ssTot = 0;
+
+    for (let i = 0; i < xs.length; i++) {
+      ssRes += (ys[i] - predict(xs[i])) ** 2;
+      ssTot += (ys[i] - meanY) ** 2;
+    }
+
+    return ssTot === 0 ? 0 : Math.max(0, 1 - ssRes / ssTot);
+  }
+
+  /**
+   * Linear trend
+   */
+  fitLinear(xs, ys) {
+    const fit = this.regress(xs, ys);
+    if (!fit) return null;
+
+    const predict = x => fit.a + fit.b * x;
+
+    return {
+      method: 'linear',
+      rSquared: this.rSquared(xs, ys, predict),
+      rate: () => fit.b,
+      solve: y => fit.b > 0 ? (y - fit.a) / fit.b : null
+    };
+  }
+
+  /**
+   * Exponential trend (linear fit of ln y)
+   */
+  fitExponential(xs, ys) {
+    if (ys.some(y => y <= 0)) return null;
+
+    const fit = this.regress(xs, ys.map(y => Math.log(y)));
+    if (!fit) return null;
+
+    const predict = x => Math.exp(fit.a + fit.b * x);
+
+    return {
+      method: 'exponential',
+      rSquared: this.rSquared(xs, ys, predict),
+      rate: x => fit.b * predict(x),
+      solve: y => fit.b > 0 ? (Math.log(y) - fit.a) / fit.b : null
+    };
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MemoryForecaster;
+}
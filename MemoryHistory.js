@@ -0,0 +1,215 @@
+/**
+ * MemoryHistory - Persistent memory time-series
+ * Raw samples + 1-minute / 1-hour / 1-day rollups (min/avg/max)
+ */
+
+class MemoryHistory {
+  constructor() {
+    this.tiers = {
+      raw: { bucketSize: 0, retention: 6 * 60 * 60 * 1000 },
+      minute: { bucketSize: 60 * 1000, retention: 2 * 24 * 60 * 60 * 1000 },
+      hour: { bucketSize: 60 * 60 * 1000, retention: 30 * 24 * 60 * 60 * 1000 },
+      day: { bucketSize: 24 * 60 * 60 * 1000, retention: 365 * 24 * 60 * 60 * 1000 }
+    };
+
+    this.metrics = ['usagePercent', 'usedMB', 'tabRAM'];
+    this.series = { raw: [], minute: [], hour: [], day: [] };
+
+    // Debounce timers
+    this.saveTimeout = null;
+  }
+
+  /**
+   * Initialize - load từ storage
+   */
+  async initialize() {
+    try {
+      const stored = await chrome.storage.local.get('memoryHistory');
+
+      if (stored.memoryHistory) {
+        for (const tier of Object.keys(this.tiers)) {
+          this.series[tier] = stored.memoryHistory[tier] || [];
+        }
+      }
+
+      this.prune(Date.now());
+
+      console.log('[MemoryHistory] Initialized:', {
+        raw: this.series.raw.length,
+        minute: this.series.minute.length,
+        hour: this.series.hour.length,
+        day: this.series.day.length
+      });
+    } catch (error) {
+      console.error('[MemoryHistory] Init error:', error);
+    }
+
+    return this;
+  }
+
+  /**
+   * Record a monitorRAM sample and update rollups
+   */
+  record(sample) {
+    const t = sample.timestamp || Date.now();
+    const values = {};
+
+    for (const metric of this.metrics) {
+      values[metric] = typeof sample[metric] === 'number' ? sample[metric] : 0;
+    }
+
+    this.series.raw.push({ t, ...values });
+
+    for (const tier of ['minute', 'hour', 'day']) {
+      this.rollup(tier, t, values);
+    }
+
+    this.prune(t);
+    this.save();
+  }
+
+  /**
+   * Add values vào bucket của tier
+   */
+  rollup(tier, t, values) {
+    const bucketStart = Math.floor(t / this.tiers[tier].bucketSize) * this.tiers[tier].bucketSize;
+    const series = this.series[tier];
+    let bucket = series[series.length - 1];
+
+    if (!bucket || bucket.t !== bucketStart) {
+      bucket = { t: bucketStart, count: 0 };
+      for (const metric of this.metrics) {
+        bucket[metric] = { min: Infinity, max: -Infinity, sum: 0 };
+      }
+      series.push(bucket);
+    }
+
+    bucket.count++;
+    for (const metric of this.metrics) {
+      const agg = bucket[metric];
+      agg.min = Math.min(agg.min, values[metric]);
+      agg.max = Math.max(agg.max, values[metric]);
+      agg.sum += values[metric];
+    }
+  }
+
+  /**
+   * Drop points older than each tier's retention
+   */
+  prune(now) {
+    for (const [tier, { retention }] of Object.entries(this.tiers)) {
+      const cutoff = now - retention;
+      const series = this.series[tier];
+
+      let i = 0;
+      while (i < series.length && series[i].t < cutoff) i++;
+      if (i > 0) series.splice(0, i);
+    }
+  }
+
+  /**
+   * Pick the finest tier that still covers the range
+   */
+  pickTier(from, to) {
+    const now = Date.now();
+
+    for (const tier of ['raw', 'minute', 'hour']) {
+      if (now - from <= this.tiers[tier].retention && (to - from) <= this.tiers[tier].retention) {
+        return tier;
+      }
+    }
+
+    return 'day';
+  }
+
+  /**
+   * Range query
+   * @param {Object} options - { from, to, tier: 'auto'|'raw'|'minute'|'hour'|'day' }
+   */
+  query(options = {}) {
+    const to = options.to || Date.now();
+    const from = options.from || (to - 60 * 60 * 1000);
+    const tier = !options.tier || options.tier === 'auto'
+      ? this.pickTier(from, to)
+      : options.tier;
+
+    if (!this.series[tier]) {
+      throw new Error('Unknown history tier: ' + tier);
+    }
+
+    const points = this.series[tier]
+      .filter(point => point.t >= from && point.t <= to)
+      .map(point => tier === 'raw' ? this.formatRaw(point) : this.formatBucket(point));
+
+    return { tier, from, to, points };
+  }
+
+  /**
+   * Raw sample → min = avg = max
+   */
+  formatRaw(point) {
+    const formatted = { t: point.t, count: 1 };
+    for (const metric of this.metrics) {
+      formatted[metric] = { min: point[metric], avg: point[metric], max: point[metric] };
+    }
+    return formatted;
+  }
+
+  /**
+   * Bucket → min/avg/max
+   */
+  formatBucket(bucket) {
+    const formatted = { t: bucket.t, count: bucket.count };
+    for (const metric of this.metrics) {
+      const agg = bucket[metric];
+      formatted[metric] = {
+        min: agg.min,
+        avg: parseFloat((agg.sum / bucket.count).toFixed(1)),
+        max: agg.max
+      };
+    }
+    return formatted;
+  }
+
+  /**
+   * Save (debounced)
+   */
+  save() {
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+    }
+
+    this.saveTimeout = setTimeout(async () => {
+      try {
+        await chrome.storage.local.set({ memoryHistory: this.series });
+      } catch (error) {
+        console.error('[MemoryHistory] Save error:', error);
+      }
+    }, 1000);
+  }
+
+  /**
+   * Clear all history
+   */
+  async clear() {
+    this.series = { raw: [], minute: [], hour: [], day: [] };
+    await chrome.storage.local.set({ memoryHistory: this.series });
+    console.log('[MemoryHistory] Cleared');
+  }
+
+  /**
+   * Get statistics
+   */
+  getStats() {
+    const stats = {};
+    for (const tier of Object.keys(this.tiers)) {
+      stats[tier] = this.series[tier].length;
+    }
+    return stats;
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MemoryHistory;
+}
@@ -0,0 +1,116 @@
+/**
+ * MonitorScheduler - Adaptive RAM sampling frequency
+ * Interval theo memory status + burst mode khi popup đang mở
+ */
+
+class MonitorScheduler {
+  constructor(resourceControls, alarmName) {
+    this.resourceControls = resourceControls;
+    this.alarmName = alarmName;
+
+    // checkInterval multiplier per status (critical = platform minimum)
+    this.multipliers = {
+      optimal: 5,
+      elevated: 2,
+      warning: 1,
+      critical: 0
+    };
+
+    // chrome.alarms minimum period (Chrome 120+)
+    this.minInterval = 30000;
+
+    this.intervalMs = null;
+    this.burstTimer = null;
+    this.burstClients = 0;
+  }
+
+  /**
+   * Initialize - pick up the alarm that survived a worker restart
+   */
+  async initialize() {
+    const alarm = await chrome.alarms.get(this.alarmName);
+
+    if (alarm && alarm.periodInMinutes) {
+      this.intervalMs = alarm.periodInMinutes * 60000;
+      this.report();
+    }
+
+    console.log('[MonitorScheduler] Initialized:', {
+      intervalMs: this.intervalMs
+    });
+
+    return this;
+  }
+
+  /**
+   * Interval for a memory status
+   */
+  getInterval(status) {
+    const multiplier = this.multipliers[status] ?? 1;
+    const interval = this.resourceControls.config.checkInterval * multiplier;
+    return Math.max(this.minInterval, interval);
+  }
+
+  /**
+   * Re-create alarm if the interval for this status changed
+   */
+  async reschedule(status) {
+    const intervalMs = this.getInterval(status);
+
+    if (intervalMs !== this.intervalMs) {
+      const periodInMinutes = intervalMs / 60000;
+      await chrome.alarms.create(this.alarmName, {
+        periodInMinutes,
+        delayInMinutes: periodInMinutes
+      });
+
+      console.log('[MonitorScheduler] Interval:', intervalMs / 1000 + 's', '(' + status + ')');
+      this.intervalMs = intervalMs;
+    }
+
+    this.report(status);
+    return intervalMs;
+  }
+
+  /**
+   * Start burst mode (short interval while popup is open)
+   */
+  startBurst(runCheck) {
+    this.burstClients++;
+    if (this.burstTimer) return;
+
+    this.burstTimer = setInterval(runCheck, this.resourceControls.config.updateInterval);
+    this.report();
+    console.log('[MonitorScheduler] Burst mode ON');
+  }
+
+  /**
+   * Stop burst mode when the last client leaves
+   */
+  stopBurst() {
+    this.burstClients = Math.max(0, this.burstClients - 1);
+    if (this.burstClients > 0 || !this.burstTimer) return;
+
+    clearInterval(this.burstTimer);
+    this.burstTimer = null;
+    this.report();
+    console.log('[MonitorScheduler] Burst mode OFF');
+  }
+
+  /**
+   * Push current interval vào performance stats
+   */
+  report(status = null) {
+    this.resourceControls.setMonitoring({
+      mode: this.burstTimer ? 'burst' : 'adaptive',
+      intervalMs: this.burstTimer ? this.resourceControls.config.updateInterval : this.intervalMs,
+      alarmIntervalMs: this.intervalMs,
+      status: status || this.resourceControls.monitoring.status
+    });
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MonitorScheduler;
+}
@@ -0,0 +1,173 @@
+/**
+ * PopupChannel - Push live updates tới popup qua long-lived port
+ * Snapshot khi connect, sau đó chỉ gửi sections thay đổi (diff)
+ */
+
+class PopupChannel {
+  constructor(resourceControls, discardEngine, eventBus) {
+    this.resourceControls = resourceControls;
+    this.discardEngine = discardEngine;
+    this.eventBus = eventBus;
+
+    // port → { section: signature } đã gửi
+    this.ports = new Map();
+
+    // Events that change popup data without a new memory sample
+    this.refreshEvents = ['tab_created', 'tab_discarded', 'config_changed', 'rules_changed'];
+
+    this.replayLimit = 10;
+    this.publishDelay = 250;
+
+    // Debounce timers
+    this.publishTimeout = null;
+  }
+
+  /**
+   * Initialize - forward EventBus events to connected popups
+   */
+  async initialize() {
+    this.eventBus.on('*', (event) => {
+      this.broadcast({ type: 'event', event });
+
+      if (this.refreshEvents.includes(event.type)) {
+        this.schedulePublish();
+      }
+    });
+
+    console.log('[PopupChannel] Initialized');
+    return this;
+  }
+
+  /**
+   * Subscribe a popup port (cleanup on disconnect)
+   */
+  subscribe(port) {
+    this.ports.set(port, {});
+
+    port.onDisconnect.addListener(() => {
+      this.ports.delete(port);
+      console.log('[PopupChannel] Popup disconnected:', { ports: this.ports.size });
+    });
+
+    port.postMessage({ type: 'events', events: this.eventBus.replay(this.replayLimit) });
+    this.publish().catch(error => console.error('[PopupChannel] Publish error:', error));
+
+    console.log('[PopupChannel] Popup connected:', { ports: this.ports.size });
+  }
+
+  /**
+   * Build popup data
+   * @param {Object} sample - optional monitorRAM result (skip re-query)
+   */
+  async buildSnapshot(sample = null) {
+    const stats = await this.resourceControls.getStats(sample?.success ? sample : null);
+    const analysis = await this.resourceControls.getRAMAnalysis(stats);
+    const { memory, tabs, performance, schedule } = stats;
+
+    return {
+      memory,
+      tabs: {
+        total: tabs.total,
+        active: tabs.active,
+        measured: tabs.measured,
+        measuredRAM: tabs.measuredRAM,
+        totalRAM: tabs.totalRAM,
+        averageRAM: tabs.averageRAM,
+        ramSource: tabs.ramSource
+      },
+      performance: {
+        peakMemoryUsage: performance.peakMemoryUsage,
+        monitorInterval: performance.monitorInterval,
+        monitorMode: performance.monitorMode
+      },
+      schedule,
+      discardStats: this.discardEngine.getStats(),
+      topDomains: analysis.topDomains,
+      windows: analysis.windows,
+      groups: analysis.groups,
+      leaks: analysis.leaks,
+      forecast: analysis.forecast,
+      duplicates: analysis.duplicates
+    };
+  }
+
+  /**
+   * Comparable signature of a section (ignore sample timestamp)
+   */
+  signature(section, value) {
+    if (section === 'memory' && value) {
+      const { timestamp, ...rest } = value;
+      return JSON.stringify(rest);
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Push changed sections to every port
+   */
+  async publish(sample = null) {
+    if (this.ports.size === 0) return 0;
+
+    const snapshot = await this.buildSnapshot(sample);
+    let sent = 0;
+
+    for (const [port, last] of this.ports) {
+      const isNew = Object.keys(last).length === 0;
+      const changes = {};
+
+      for (const [section, value] of Object.entries(snapshot)) {
+        const signature = this.signature(section, value);
+        if (last[section] !== signature) {
+          changes[section] = value;
+          last[section] = signature;
+        }
+      }
+
+      if (Object.keys(changes).length === 0) continue;
+
+      try {
+        port.postMessage({ type: isNew ? 'snapshot' : 'diff', changes });
+        sent++;
+      } catch (error) {
+        // Port already closed
+        this.ports.delete(port);
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Publish soon (debounced, coalesces tab/event bursts)
+   */
+  schedulePublish() {
+    if (this.ports.size === 0) return;
+
+    if (this.publishTimeout) {
+      clearTimeout(this.publishTimeout);
+    }
+
+    this.publishTimeout = setTimeout(() => {
+      this.publishTimeout = null;
+      this.publish().catch(error => console.error('[PopupChannel] Publish error:', error));
+    }, this.publishDelay);
+  }
+
+  /**
+   * Send message to every port
+   */
+  broadcast(message) {
+    for (const port of this.ports.keys()) {
+      try {
+        port.postMessage(message);
+      } catch (error) {
+        this.ports.delete(port);
+      }
+    }
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PopupChannel;
+}
@@ -0,0 +1,123 @@
+/**
+ * PublicSuffixList - eTLD / eTLD+1 (registrable domain) lookup
+ * Bundled subset of https://publicsuffix.org/list/ (ASCII/punycode form)
+ * Rule syntax như PSL: "co.uk", wildcard "*.ck", exception "!www.ck"
+ */
+
+class PublicSuffixList {
+  constructor(rules = PublicSuffixList.defaultRules) {
+    this.rules = new Set();
+    this.wildcards = new Set();
+    this.exceptions = new Set();
+
+    for (const rule of rules) {
+      if (rule.startsWith('!')) {
+        this.exceptions.add(rule.slice(1));
+      } else if (rule.startsWith('*.')) {
+        this.wildcards.add(rule.slice(2));
+      } else {
+        this.rules.add(rule);
+      }
+    }
+  }
+
+  /**
+   * IPv4 / IPv6 hosts không có public suffix
+   */
+  isIP(hostname) {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.includes(':');
+  }
+
+  /**
+   * Public suffix (eTLD) - longest matching rule, exceptions win
+   * Không có rule nào match → TLD ("*" default rule)
+   */
+  getPublicSuffix(hostname) {
+    const host = (hostname || '').toLowerCase().replace(/\.+$/, '');
+    if (!host || this.isIP(host)) return null;
+
+    const labels = host.split('.');
+
+    for (let i = 0; i < labels.length; i++) {
+      const suffix = labels.slice(i).join('.');
+      const parent = labels.slice(i + 1).join('.');
+
+      if (this.exceptions.has(suffix)) return parent;
+      if (this.rules.has(suffix)) return suffix;
+      if (parent && this.wildcards.has(parent)) return suffix;
+    }
+
+    return labels[labels.length - 1];
+  }
+
+  /**
+   * Registrable domain (eTLD+1), null nếu host chính là public suffix
+   */
+  getRegistrableDomain(hostname) {
+    const host = (hostname || '').toLowerCase().replace(/\.+$/, '');
+    if (!host) return null;
+    if (this.isIP(host)) return host;
+
+    const suffix = this.getPublicSuffix(host);
+    if (host === suffix) return null;
+
+    const labels = host.split('.');
+    return labels.slice(-(suffix.split('.').length + 1)).join('.');
+  }
+
+  /**
+   * Host là public suffix (e.g. "com", "co.uk", "github.io")
+   */
+  isPublicSuffix(hostname) {
+    const host = (hostname || '').toLowerCase().replace(/\.+$/, '');
+    return !!host && this.getPublicSuffix(host) === host;
+  }
+}
+
+// Multi-label suffixes only - single-label TLDs come from the default rule
+PublicSuffixList.defaultRules = [
+  // ICANN
+  'co.uk', 'org.uk', 'me.uk', 'ltd.uk', 'plc.uk', 'net.uk', 'sch.uk', 'ac.uk', 'gov.uk', 'nhs.uk', 'police.uk',
+  'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au', 'asn.au', 'id.au',
+  'co.nz', 'net.nz', 'org.nz', 'ac.nz', 'govt.nz', 'school.nz', 'geek.nz',
+  'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'ad.jp', 'ed.jp', 'go.jp', 'gr.jp', 'lg.jp',
+  '*.kawasaki.jp', '*.kitakyushu.jp', '*.kobe.jp', '*.nagoya.jp', '*.sapporo.jp', '*.sendai.jp', '*.yokohama.jp',
+  '!city.kawasaki.jp', '!city.kitakyushu.jp', '!city.kobe.jp', '!city.nagoya.jp', '!city.sapporo.jp',
+  '!city.sendai.jp', '!city.yokohama.jp',
+  'com.vn', 'net.vn', 'org.vn', 'edu.vn', 'gov.vn', 'int.vn', 'ac.vn', 'biz.vn', 'info.vn', 'name.vn',
+  'pro.vn', 'health.vn',
+  'com.cn', 'net.cn', 'org.cn', 'gov.cn', 'edu.cn', 'ac.cn', 'xn--55qx5d.cn', 'xn--io0a7i.cn', 'xn--od0alg.cn',
+  'com.hk', 'net.hk', 'org.hk', 'edu.hk', 'gov.hk', 'idv.hk',
+  'com.tw', 'net.tw', 'org.tw', 'edu.tw', 'gov.tw', 'idv.tw',
+  'co.kr', 'or.kr', 'ne.kr', 'ac.kr', 'go.kr', 're.kr',
+  'com.sg', 'net.sg', 'org.sg', 'edu.sg', 'gov.sg',
+  'com.my', 'net.my', 'org.my', 'edu.my', 'gov.my',
+  'co.th', 'in.th', 'ac.th', 'go.th', 'or.th',
+  'co.id', 'or.id', 'ac.id', 'go.id', 'web.id', 'my.id',
+  'com.ph', 'net.ph', 'org.ph', 'edu.ph', 'gov.ph',
+  'co.in', 'net.in', 'org.in', 'firm.in', 'gen.in', 'ind.in', 'ac.in', 'edu.in', 'gov.in', 'res.in',
+  'com.pk', 'net.pk', 'org.pk', 'edu.pk', 'gov.pk',
+  'com.br', 'net.br', 'org.br', 'gov.br', 'edu.br', 'art.br', 'blog.br', 'app.br', 'dev.br',
+  'com.ar', 'net.ar', 'org.ar', 'gob.ar', 'edu.ar',
+  'com.mx', 'net.mx', 'org.mx', 'gob.mx', 'edu.mx',
+  'com.co', 'net.co', 'org.co', 'gov.co', 'edu.co',
+  'co.za', 'org.za', 'net.za', 'gov.za', 'ac.za', 'web.za',
+  'com.tr', 'net.tr', 'org.tr', 'gov.tr', 'edu.tr', 'gen.tr',
+  'com.ua', 'net.ua', 'org.ua', 'gov.ua', 'in.ua', 'kiev.ua',
+  'com.pl', 'net.pl', 'org.pl', 'gov.pl', 'edu.pl', 'waw.pl',
+  'co.il', 'org.il', 'net.il', 'ac.il', 'gov.il',
+  'com.eg', 'com.sa', 'com.ng', 'com.es', 'com.pt', 'co.at', 'or.at', 'co.it', 'gv.at',
+  '*.ck', '!www.ck', '*.bd', '*.er', '*.fk', '*.jm', '*.kh', '*.mm', '*.np', '*.pg',
+
+  // Private (hosting platforms: mỗi subdomain là một site riêng)
+  'github.io', 'githubusercontent.com', 'gitlab.io', 'bitbucket.io',
+  'herokuapp.com', 'netlify.app', 'vercel.app', 'pages.dev', 'workers.dev', 'web.app', 'firebaseapp.com',
+  'appspot.com', 'blogspot.com', 'cloudfront.net', 'azurewebsites.net',
+  's3.amazonaws.com', 'fly.dev', 'onrender.com', 'glitch.me', 'repl.co', 'ngrok.io', 'ngrok-free.app',
+  'readthedocs.io', 'surge.sh', 'myshopify.com', 'wixsite.com', 'translate.goog'
+];
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PublicSuffixList;
+}
@@ -1,10 +1,11 @@
 /**
- * ResourceControls v3.0 - RAM Monitoring Only
- * Chỉ monitor RAM, không có chức năng sleep tabs
+ * ResourceControls v3.0 - RAM Monitoring
+ * Monitor RAM; discard tabs được xử lý bởi TabDiscardEngine
  */
 
 class ResourceControls {
-  constructor() {
+  constructor(eventBus = null) {
+    this.eventBus = eventBus;
     this.config = {
       ramLimit: 2000,
       checkInterval: 60000,
@@ -12,7 +13,17 @@ class ResourceControls {
       maxCacheAge: 2000,
       emergencyThreshold: 85,
       warningThreshold: 70,
-      optimalThreshold: 60
+      optimalThreshold: 60,
+      hysteresisBand: 3,
+      leakSlopeThreshold: 2,
+      leakMinDuration: 30,
+      leakMinSamples: 6,
+      forecastWindow: 30,
+      forecastHorizon: 15,
+      forecastMinConfidence: 0.5,
+      autoDiscard: true,
+      maxDiscardsPerCheck: 3,
+      discardMinInactive: 5
     };
     
     // Core data structures
@@ -20,6 +31,31 @@ class ResourceControls {
     this.tabMetadata = new Map();
     this.memoryCache = null;
     this.memoryCacheTime = 0;
+    this.memoryCollector = new TabMemoryCollector();
+    this.history = new MemoryHistory();
+    this.categorizer = new TabCategorizer(eventBus);
+    this.leakDetector = new LeakDetector();
+    this.forecaster = new MemoryForecaster();
+    this.duplicateDetector = new DuplicateDetector();
+    this.trackingExclusions = new TrackingExclusions(eventBus);
+
+    // Per-rule budgets (set by background after WhitelistManager init)
+    this.whitelistManager = null;
+
+    // Current sampling interval (set by MonitorScheduler)
+    this.monitoring = {
+      mode: 'adaptive',
+      intervalMs: this.config.checkInterval,
+      alarmIntervalMs: this.config.checkInterval,
+      status: null
+    };
+
+    // Active forecast early warning (emit on transitions only)
+    this.forecastWarning = null;
+
+    // Schedule profile overrides (not persisted)
+    this.activeSchedule = null;
+    this.baseConfig = {};
     
     // Performance tracking
     this.stats = {
@@ -40,30 +76,45 @@ class ResourceControls {
   async initialize() {
     try {
       const stored = await chrome.storage.local.get([
-        'ramLimit',
+        ...Object.keys(this.config),
         'tabActivityTimes',
         'tabMetadata',
         'stats'
       ]);
 
       // Merge config
-      if (stored.ramLimit) {
-        this.config.ramLimit = stored.ramLimit;
+      for (const key of Object.keys(this.config)) {
+        if (stored[key] !== undefined) {
+          this.config[key] = stored[key];
+        }
       }
 
-      // Restore data structures
+      // Restore data structures (storage turns numeric tab IDs into strings)
       if (stored.tabActivityTimes) {
-        this.tabActivityTimes = new Map(Object.entries(stored.tabActivityTimes));
+        this.tabActivityTimes = new Map(
+          Object.entries(stored.tabActivityTimes).map(([tabId, time]) => [Number(tabId), time])
+        );
       }
 
       if (stored.tabMetadata) {
-        this.tabMetadata = new Map(Object.entries(stored.tabMetadata));
+        this.tabMetadata = new Map(
+          Object.entries(stored.tabMetadata).map(([tabId, metadata]) => [Number(tabId), metadata])
+        );
       }
 
       if (stored.stats) {
         Object.assign(this.stats, stored.stats);
       }
 
+      // Worker restarted trong cùng browser session → resume từ snapshot
+      await this.restoreSnapshot();
+
+      await this.memoryCollector.initialize();
+      await this.history.initialize();
+      await this.categorizer.initialize();
+      await this.leakDetector.initialize();
+      await this.trackingExclusions.initialize();
+
       // Initialize tabs
       await this.initializeTabActivities();
 
@@ -90,10 +141,19 @@ class ResourceControls {
       const tabs = await chrome.tabs.query({});
       const now = Date.now();
       let initialized = 0;
+
+      // Tab IDs only survive within one browser session
+      if (await this.isNewBrowserSession()) {
+        this.reconcileTabIds(tabs);
+      }
       
       for (const tab of tabs) {
-        // Skip system pages
+        // Skip system pages and excluded domains
         if (this.isSystemPage(tab.url)) continue;
+        if (this.trackingExclusions.isExcluded(tab.url)) {
+          this.forgetTab(tab.id);
+          continue;
+        }
         
         if (!this.tabActivityTimes.has(tab.id)) {
           this.tabActivityTimes.set(tab.id, now);
@@ -106,9 +166,11 @@ class ResourceControls {
             activationCount: 0,
             totalActiveTime: 0,
             domain: this.extractDomain(tab.url),
-            category: this.categorizeURL(tab.url)
+            category: this.categorizeURL(tab.url, tab.title)
           });
         }
+
+        this.updateTabLocation(tab);
       }
 
       await this.saveTabData();
@@ -118,6 +180,108 @@ class ResourceControls {
     }
   }
 
+  /**
+   * Check if tab IDs may have been reassigned since the data was stored.
+   * chrome.storage.session is cleared when the browser (or extension) restarts.
+   */
+  async isNewBrowserSession() {
+    try {
+      const { sessionMarker } = await chrome.storage.session.get('sessionMarker');
+      if (sessionMarker) return false;
+
+      await chrome.storage.session.set({ sessionMarker: Date.now() });
+      return true;
+    } catch (error) {
+      console.error('[ResourceControls] Session check error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Re-match stored tab records to restored tabs by URL, window and index
+   */
+  reconcileTabIds(tabs) {
+    const openTabs = new Map(tabs.map(tab => [tab.id, tab]));
+    const orphans = [];
+
+    for (const [tabId, metadata] of this.tabMetadata.entries()) {
+      const tab = openTabs.get(tabId);
+
+      // Same ID, same page → still the same tab
+      if (tab && metadata.url === tab.url) continue;
+
+      // Legacy records without location cannot be matched
+      if (!metadata.url) continue;
+
+      orphans.push({ tabId, metadata, reused: !!tab });
+    }
+
+    if (orphans.length === 0) return 0;
+
+    // Windows get new IDs after restart, so compare window order instead
+    const orphanWindows = this.rankWindows(orphans.map(o => o.metadata.windowId));
+    const tabWindows = this.rankWindows(tabs.map(tab => tab.windowId));
+    const claimed = new Set(
+      tabs.filter(tab => {
+        const metadata = this.tabMetadata.get(tab.id);
+        return metadata && metadata.url === tab.url;
+      }).map(tab => tab.id)
+    );
+
+    // Score every orphan/tab pair with the same URL
+    const pairs = [];
+    for (const orphan of orphans) {
+      for (const tab of tabs) {
+        if (claimed.has(tab.id) || tab.url !== orphan.metadata.url) continue;
+
+        let score = 1;
+        if (tab.index === orphan.metadata.index) score += 2;
+        if (tabWindows.get(tab.windowId) === orphanWindows.get(orphan.metadata.windowId)) score += 1;
+        pairs.push({ orphan, tab, score });
+      }
+    }
+
+    pairs.sort((a, b) => b.score - a.score);
+
+    const moved = new Map();
+    const matchedOrphans = new Set();
+
+    for (const { orphan, tab } of pairs) {
+      if (matchedOrphans.has(orphan) || claimed.has(tab.id)) continue;
+
+      matchedOrphans.add(orphan);
+      claimed.add(tab.id);
+      moved.set(tab.id, {
+        metadata: orphan.metadata,
+        activity: this.tabActivityTimes.get(orphan.tabId)
+      });
+    }
+
+    // Remove old keys first: a new ID can equal another orphan's old ID
+    for (const orphan of orphans) {
+      if (matchedOrphans.has(orphan) || orphan.reused) {
+        this.tabMetadata.delete(orphan.tabId);
+        this.tabActivityTimes.delete(orphan.tabId);
+      }
+    }
+
+    for (const [tabId, { metadata, activity }] of moved) {
+      this.tabMetadata.set(tabId, metadata);
+      if (activity) this.tabActivityTimes.set(tabId, activity);
+    }
+
+    console.log(`[ResourceControls] Reconciled ${moved.size}/${orphans.length} tab records`);
+    return moved.size;
+  }
+
+  /**
+   * Map windowId → rank (windows sorted by ID ≈ creation order)
+   */
+  rankWindows(windowIds) {
+    const unique = [...new Set(windowIds.filter(id => id !== undefined))].sort((a, b) => a - b);
+    return new Map(unique.map((id, rank) => [id, rank]));
+  }
+
   /**
    * Cleanup old data (30+ days)
    */
@@ -143,15 +307,226 @@ class ResourceControls {
   /**
    * Update config
    */
-  async updateConfig(newConfig) {
+  async updateConfig(newConfig, options = {}) {
+    const unknown = Object.keys(newConfig).filter(key => !(key in this.config));
+    if (unknown.length > 0) {
+      throw new Error('Unknown config keys: ' + unknown.join(', '));
+    }
+
     // Validate ranges
     if (newConfig.ramLimit) {
       newConfig.ramLimit = Math.max(1000, Math.min(5000, newConfig.ramLimit));
     }
 
-    Object.assign(this.config, newConfig);
+    if (newConfig.checkInterval !== undefined) {
+      newConfig.checkInterval = Math.max(30000, Math.min(600000, newConfig.checkInterval));
+    }
+
+    if (newConfig.updateInterval !== undefined) {
+      newConfig.updateInterval = Math.max(1000, Math.min(30000, newConfig.updateInterval));
+    }
+
+    if (newConfig.maxDiscardsPerCheck !== undefined) {
+      newConfig.maxDiscardsPerCheck = Math.max(1, Math.min(20, newConfig.maxDiscardsPerCheck));
+    }
+
+    if (newConfig.discardMinInactive !== undefined) {
+      newConfig.discardMinInactive = Math.max(0, newConfig.discardMinInactive);
+    }
+
+    if (newConfig.leakSlopeThreshold !== undefined) {
+      newConfig.leakSlopeThreshold = Math.max(0.1, newConfig.leakSlopeThreshold);
+    }
+
+    if (newConfig.leakMinDuration !== undefined) {
+      newConfig.leakMinDuration = Math.max(5, newConfig.leakMinDuration);
+    }
+
+    if (newConfig.forecastWindow !== undefined) {
+      newConfig.forecastWindow = Math.max(5, Math.min(360, newConfig.forecastWindow));
+    }
+
+    if (newConfig.forecastHorizon !== undefined) {
+      newConfig.forecastHorizon = Math.max(1, newConfig.forecastHorizon);
+    }
+
+    if (newConfig.hysteresisBand !== undefined) {
+      newConfig.hysteresisBand = Math.max(0, Math.min(10, newConfig.hysteresisBand));
+    }
+
+    // Schedule switch: override effective config only
+    if (options.schedule !== undefined) {
+      return this.applyScheduleConfig(newConfig, options.schedule);
+    }
+
+    // User config và config thực sự in effect (active schedule overrides win)
+    this.validateThresholds({ ...this.config, ...this.baseConfig, ...newConfig });
+    this.validateEffectiveThresholds(Object.fromEntries(
+      Object.entries(newConfig).filter(([key]) => !(key in this.baseConfig))));
+
+    // Keys overridden by the active schedule keep the schedule value until it ends
+    for (const [key, value] of Object.entries(newConfig)) {
+      if (key in this.baseConfig) {
+        this.baseConfig[key] = value;
+      } else {
+        this.config[key] = value;
+      }
+    }
+
     await chrome.storage.local.set(newConfig);
     console.log('[ResourceControls] Config updated:', newConfig);
+
+    this.eventBus?.emit('config_changed', {
+      source: 'user',
+      changes: newConfig,
+      config: this.config
+    });
+  }
+
+  /**
+   * Switch schedule profile (null = back to user config)
+   */
+  applyScheduleConfig(overrides, schedule) {
+    const restored = { ...this.config, ...this.baseConfig };
+
+    // Config in effect sau khi switch
+    this.validateThresholds(schedule ? { ...restored, ...overrides } : restored);
+
+    Object.assign(this.config, this.baseConfig);
+    this.baseConfig = {};
+
+    if (schedule) {
+      for (const key of Object.keys(overrides)) {
+        this.baseConfig[key] = this.config[key];
+      }
+      Object.assign(this.config, overrides);
+    }
+
+    this.activeSchedule = schedule
+      ? { id: schedule.id, name: schedule.name, updatedAt: schedule.updatedAt, since: Date.now(), until: schedule.until || null }
+      : null;
+
+    console.log('[ResourceControls] Schedule applied:', this.activeSchedule?.name || 'none');
+
+    this.eventBus?.emit('config_changed', {
+      source: 'schedule',
+      schedule: this.activeSchedule,
+      config: this.config
+    });
+
+    return this.activeSchedule;
+  }
+
+  /**
+   * Record the sampling interval chosen by MonitorScheduler
+   */
+  setMonitoring(info) {
+    Object.assign(this.monitoring, info);
+  }
+
+  /**
+   * Rule source cho per-rule budgets
+   */
+  setWhitelistManager(whitelistManager) {
+    this.whitelistManager = whitelistManager;
+  }
+
+  /**
+   * User config without schedule overrides
+   */
+  getUserConfig() {
+    return { ...this.config, ...this.baseConfig };
+  }
+
+  /**
+   * Validate status thresholds (optimal < warning < emergency)
+   */
+  validateThresholds(config) {
+    const { optimalThreshold, warningThreshold, emergencyThreshold } = config;
+
+    for (const value of [optimalThreshold, warningThreshold, emergencyThreshold]) {
+      if (typeof value !== 'number' || isNaN(value) || value < 1 || value > 99) {
+        throw new Error('Thresholds must be numbers between 1 and 99');
+      }
+    }
+
+    if (!(optimalThreshold < warningThreshold && warningThreshold < emergencyThreshold)) {
+      throw new Error('Thresholds must satisfy optimal < warning < emergency');
+    }
+  }
+
+  /**
+   * Validate thresholds của config in effect sau khi apply changes
+   */
+  validateEffectiveThresholds(changes) {
+    try {
+      this.validateThresholds({ ...this.config, ...changes });
+    } catch (error) {
+      const schedule = this.activeSchedule ? ` with schedule "${this.activeSchedule.name}" active` : '';
+      throw new Error(error.message + schedule);
+    }
+  }
+
+  /**
+   * Resolve status with hysteresis
+   * Status rises as soon as a threshold is crossed, but only falls back
+   * once usage drops hysteresisBand below that threshold
+   */
+  resolveStatus(usagePercent, previousStatus) {
+    const levels = ['optimal', 'elevated', 'warning', 'critical'];
+    const bounds = [
+      this.config.optimalThreshold,
+      this.config.warningThreshold,
+      this.config.emergencyThreshold
+    ];
+
+    const raw = bounds.filter(bound => usagePercent > bound).length;
+    const previous = levels.indexOf(previousStatus);
+    let level = raw;
+
+    // Drop one band at a time, each with its own margin
+    if (previous > raw) {
+      level = previous;
+      while (level > raw && usagePercent <= bounds[level - 1] - this.config.hysteresisBand) {
+        level--;
+      }
+    }
+
+    return levels[level];
+  }
+
+  /**
+   * Emit status_changed / threshold_crossed between two samples
+   */
+  emitMemoryEvents(previous, current) {
+    if (!this.eventBus) return;
+
+    if (previous.status !== current.status) {
+      this.eventBus.emit('status_changed', {
+        from: previous.status,
+        to: current.status,
+        memory: current
+      });
+    }
+
+    const thresholds = {
+      optimalThreshold: this.config.optimalThreshold,
+      warningThreshold: this.config.warningThreshold,
+      emergencyThreshold: this.config.emergencyThreshold
+    };
+
+    for (const [threshold, value] of Object.entries(thresholds)) {
+      const wasAbove = previous.usagePercent > value;
+      const isAbove = current.usagePercent > value;
+      if (wasAbove === isAbove) continue;
+
+      this.eventBus.emit('threshold_crossed', {
+        threshold,
+        value,
+        direction: isAbove ? 'up' : 'down',
+        usagePercent: current.usagePercent
+      });
+    }
   }
 
   /**
@@ -176,19 +551,8 @@ class ResourceControls {
       const usagePercent = parseFloat(((usedMB / totalMB) * 100).toFixed(1));
 
       // Determine status
-      let status = 'optimal';
-      if (usagePercent > this.config.emergencyThreshold) status = 'critical';
-      else if (usagePercent > this.config.warningThreshold) status = 'warning';
-      else if (usagePercent > this.config.optimalThreshold) status = 'elevated';
-
-      // Update peak memory
-      if (usagePercent > this.stats.peakMemoryUsage) {
-        this.stats.peakMemoryUsage = usagePercent;
-      }
-
-      // Update average memory
-      this.stats.averageMemoryUsage = 
-        (this.stats.averageMemoryUsage * 0.9) + (usagePercent * 0.1);
+      const previous = this.memoryCache;
+      const status = this.resolveStatus(usagePercent, previous?.status);
 
       this.memoryCache = {
         totalMB,
@@ -203,6 +567,10 @@ class ResourceControls {
       };
       this.memoryCacheTime = now;
 
+      if (previous) {
+        this.emitMemoryEvents(previous, this.memoryCache);
+      }
+
       return this.memoryCache;
     } catch (error) {
       console.error('[ResourceControls] Memory error:', error);
@@ -221,74 +589,168 @@ class ResourceControls {
    */
   async getTabsInfo() {
     try {
-      const [tabs, [activeTab]] = await Promise.all([
-        chrome.tabs.query({}),
-        chrome.tabs.query({ active: true, currentWindow: true })
-      ]);
+      const tabs = await chrome.tabs.query({});
       
       const tabsInfo = [];
       const now = Date.now();
       
       for (const tab of tabs) {
-        const isActive = tab.id === activeTab?.id;
-        const lastActivity = this.tabActivityTimes.get(tab.id) || now;
+        // Each window has its own active tab
+        const isActive = tab.active;
+        const excluded = this.trackingExclusions.isExcluded(tab.url);
+
+        // Chưa track (hoặc excluded, nothing stored): browser's own lastAccessed
+        const lastActivity = this.tabActivityTimes.get(tab.id) || tab.lastAccessed || now;
         const inactiveTime = now - lastActivity;
         const metadata = this.tabMetadata.get(tab.id);
         
-        // Enhanced RAM estimation
-        const estimatedRAM = this.estimateTabRAM(tab, isActive, inactiveTime, metadata);
+        // Measured RAM, deterministic estimate as fallback
+        const measurement = this.memoryCollector.getMeasurement(tab.id);
+        const estimatedRAM = measurement
+          ? measurement.ramMB
+          : this.estimateTabRAM(tab, isActive, inactiveTime, metadata);
         
         tabsInfo.push({
           id: tab.id,
           title: tab.title || 'No title',
           url: tab.url || 'about:blank',
           favIconUrl: tab.favIconUrl,
+          windowId: tab.windowId,
+          groupId: tab.groupId ?? -1,
+          index: tab.index,
           isActive,
           audible: tab.audible || false,
+          pinned: tab.pinned || false,
+          discarded: tab.discarded || false,
           estimatedRAM,
+          ramSource: measurement ? 'measured' : 'estimated',
+          measurement: measurement || null,
           lastActivity,
           inactiveTime,
           inactiveMinutes: Math.floor(inactiveTime / 60000),
-          metadata: metadata || null
+          metadata: excluded ? null : metadata || null,
+          excluded
         });
       }
 
-      // Efficient counting
-      let active = 0, total = tabs.length;
-      let totalRAM = 0;
-      
-      for (const info of tabsInfo) {
-        active++;
-        totalRAM += info.estimatedRAM;
+      return this.summarizeTabs(tabsInfo);
+    } catch (error) {
+      console.error('[ResourceControls] Tabs info error:', error);
+      return { tabs: [], total: 0, active: 0, measured: 0, measuredRAM: 0, totalRAM: 0, averageRAM: 0, ramSource: 'estimated' };
+    }
+  }
+
+  /**
+   * Counts/totals for a tab list (all tabs hoặc chỉ tracked tabs)
+   */
+  summarizeTabs(tabsInfo) {
+    let active = 0, total = tabsInfo.length;
+    let totalRAM = 0, measured = 0, measuredRAM = 0;
+
+    for (const info of tabsInfo) {
+      if (info.isActive) active++;
+      totalRAM += info.estimatedRAM;
+      if (info.ramSource === 'measured') {
+        measured++;
+        measuredRAM += info.estimatedRAM;
       }
+    }
 
+    return {
+      tabs: tabsInfo,
+      total,
+      active,
+      measured,
+      measuredRAM,
+      totalRAM,
+      averageRAM: total > 0 ? Math.round(totalRAM / total) : 0,
+      // Total chỉ 'measured' khi mọi tab đều có measurement
+      ramSource: total > 0 && measured === total ? 'measured' : 'estimated'
+    };
+  }
+
+  /**
+   * Group tabs by window and by tab group
+   */
+  async getGroupBreakdown(tabsInfo) {
+    const windows = new Map();
+    const groups = new Map();
+
+    for (const tab of tabsInfo) {
+      if (!windows.has(tab.windowId)) {
+        windows.set(tab.windowId, { windowId: tab.windowId, activeTabId: null, tabs: [] });
+      }
+      const win = windows.get(tab.windowId);
+      win.tabs.push(tab);
+      if (tab.isActive) win.activeTabId = tab.id;
+
+      if (tab.groupId !== -1) {
+        if (!groups.has(tab.groupId)) {
+          groups.set(tab.groupId, { groupId: tab.groupId, windowId: tab.windowId, tabs: [] });
+        }
+        groups.get(tab.groupId).tabs.push(tab);
+      }
+    }
+
+    // Group titles/colors
+    let groupInfo = new Map();
+    if (groups.size > 0 && chrome.tabGroups) {
+      try {
+        const tabGroups = await chrome.tabGroups.query({});
+        groupInfo = new Map(tabGroups.map(g => [g.id, g]));
+      } catch (error) {
+        console.error('[ResourceControls] Tab groups error:', error);
+      }
+    }
+
+    const summarize = ({ tabs, ...rest }) => {
+      const totalRAM = tabs.reduce((sum, t) => sum + t.estimatedRAM, 0);
       return {
-        tabs: tabsInfo,
-        total,
-        active,
+        ...rest,
+        tabCount: tabs.length,
         totalRAM,
-        averageRAM: active > 0 ? Math.round(totalRAM / active) : 0
+        averageRAM: tabs.length > 0 ? Math.round(totalRAM / tabs.length) : 0,
+        ramSource: tabs.every(t => t.ramSource === 'measured') ? 'measured' : 'estimated'
       };
-    } catch (error) {
-      console.error('[ResourceControls] Tabs info error:', error);
-      return { tabs: [], total: 0, active: 0, totalRAM: 0, averageRAM: 0 };
-    }
+    };
+
+    return {
+      windows: Array.from(windows.values())
+        .map(summarize)
+        .sort((a, b) => b.totalRAM - a.totalRAM),
+      groups: Array.from(groups.values())
+        .map(group => {
+          const info = groupInfo.get(group.groupId);
+          return summarize({
+            ...group,
+            title: info?.title || 'Untitled group',
+            color: info?.color || 'grey',
+            collapsed: info?.collapsed || false
+          });
+        })
+        .sort((a, b) => b.totalRAM - a.totalRAM)
+    };
   }
 
   /**
-   * Enhanced RAM estimation
+   * Deterministic RAM estimation (used when no measurement exists)
    */
   estimateTabRAM(tab, isActive, inactiveTime, metadata) {
     let baseRAM = 100;
     
+    // Discarded tabs hold almost nothing
+    if (tab.discarded) {
+      return 10;
+    }
+
     // Active tab premium
     if (isActive) {
-      return Math.round(300 + Math.random() * 200);
+      baseRAM += 250;
     }
 
     // Audio/video premium
     if (tab.audible) {
-      return Math.round(200 + Math.random() * 150);
+      baseRAM += 150;
     }
 
     // URL-based estimation
@@ -312,7 +774,7 @@ class ResourceControls {
     }
 
     // Time-based decay
-    const inactiveMinutes = inactiveTime / 60000;
+    const inactiveMinutes = isActive ? 0 : inactiveTime / 60000;
     if (inactiveMinutes > 60) baseRAM *= 0.4;
     else if (inactiveMinutes > 30) baseRAM *= 0.5;
     else if (inactiveMinutes > 15) baseRAM *= 0.7;
@@ -323,20 +785,22 @@ class ResourceControls {
       baseRAM *= 1.2;
     }
 
-    // Add variance
-    baseRAM += Math.random() * 40;
-
     return Math.round(Math.max(50, Math.min(500, baseRAM)));
   }
 
   /**
    * Monitor RAM and collect stats
+   * @param {Object} options - { record: false } = live snapshot only (popup burst),
+   *   history/leak samples và performance stats stay at the normal cadence
    */
-  async monitorRAM() {
+  async monitorRAM({ record = true } = {}) {
     const startTime = Date.now();
-    this.stats.checksPerformed++;
 
     try {
+      // Pull fresh measurements before computing tab figures (excluded tabs are never measured)
+      const openTabs = await chrome.tabs.query({});
+      await this.memoryCollector.refresh(openTabs.filter(tab => !this.trackingExclusions.isExcluded(tab.url)));
+
       const [memoryInfo, tabsInfo] = await Promise.all([
         this.getMemoryInfo(),
         this.getTabsInfo()
@@ -346,16 +810,29 @@ class ResourceControls {
         return { success: false, reason: 'No memory info' };
       }
 
-      // Track performance
+      if (record) {
+        // Record sample into history
+        this.history.record({
+          timestamp: memoryInfo.timestamp,
+          usagePercent: memoryInfo.usagePercent,
+          usedMB: memoryInfo.usedMB,
+          tabRAM: tabsInfo.totalRAM
+        });
+
+        // Per-tab growth tracking
+        this.leakDetector.record(tabsInfo.tabs.filter(tab => !tab.excluded));
+
+        // Early warning on every sample, không chỉ khi popup mở analysis
+        this.checkForecast(memoryInfo);
+      }
+
       const checkTime = Date.now() - startTime;
-      this.stats.lastCheckTime = checkTime;
-      this.stats.averageCheckTime = Math.round(
-        (this.stats.averageCheckTime * (this.stats.checksPerformed - 1) + checkTime) / this.stats.checksPerformed
-      );
-
-      // Save stats periodically
-      if (this.stats.checksPerformed % 10 === 0) {
-        await chrome.storage.local.set({ stats: this.stats });
+
+      if (record) {
+        this.recordPerformance(memoryInfo, checkTime);
+
+        // Worker may be terminated any time after this check
+        await this.persistState();
       }
 
       return {
@@ -370,6 +847,26 @@ class ResourceControls {
     }
   }
 
+  /**
+   * Track performance (chỉ recorded checks - burst passes không làm lệch stats)
+   */
+  recordPerformance(memoryInfo, checkTime) {
+    this.stats.checksPerformed++;
+    this.stats.lastCheckTime = checkTime;
+    this.stats.averageCheckTime = Math.round(
+      (this.stats.averageCheckTime * (this.stats.checksPerformed - 1) + checkTime) / this.stats.checksPerformed
+    );
+
+    // Update peak memory
+    if (memoryInfo.usagePercent > this.stats.peakMemoryUsage) {
+      this.stats.peakMemoryUsage = memoryInfo.usagePercent;
+    }
+
+    // Update average memory
+    this.stats.averageMemoryUsage =
+      (this.stats.averageMemoryUsage * 0.9) + (memoryInfo.usagePercent * 0.1);
+  }
+
   /**
    * Extract domain from URL
    */
@@ -382,23 +879,35 @@ class ResourceControls {
   }
 
   /**
-   * Categorize URL
+   * Categorize URL (rules from TabCategorizer)
    */
-  categorizeURL(url) {
-    try {
-      const hostname = new URL(url).hostname.toLowerCase();
-      
-      if (/youtube|netflix|twitch|vimeo/.test(hostname)) return 'video';
-      if (/facebook|twitter|instagram|linkedin|reddit|tiktok/.test(hostname)) return 'social';
-      if (/docs\.google|notion|slack|trello|asana/.test(hostname)) return 'productivity';
-      if (/github|stackoverflow|gitlab/.test(hostname)) return 'development';
-      if (/amazon|ebay|shop|store/.test(hostname)) return 'shopping';
-      if (/news|bbc|cnn|medium|blog/.test(hostname)) return 'news';
-      
-      return 'general';
-    } catch {
-      return 'unknown';
+  categorizeURL(url, title = '') {
+    return this.categorizer.categorize(url, title);
+  }
+
+  /**
+   * Re-apply category rules to tracked tabs (after rules change)
+   */
+  async recategorizeTabs() {
+    const tabs = await chrome.tabs.query({});
+    let changed = 0;
+
+    for (const tab of tabs) {
+      const metadata = this.tabMetadata.get(tab.id);
+      if (!metadata) continue;
+
+      const category = this.categorizeURL(tab.url, tab.title);
+      if (metadata.category !== category) {
+        metadata.category = category;
+        changed++;
+      }
+    }
+
+    if (changed > 0) {
+      this.saveTabData();
     }
+
+    return changed;
   }
 
   /**
@@ -415,7 +924,13 @@ class ResourceControls {
   /**
    * Update tab activity with metadata
    */
-  updateTabActivity(tabId) {
+  updateTabActivity(tabId, tab = null) {
+    if (this.isExcludedTab(tabId, tab)) {
+      this.forgetTab(tabId);
+      this.saveTabData();
+      return;
+    }
+
     const now = Date.now();
     const lastActivity = this.tabActivityTimes.get(tabId) || now;
     
@@ -436,15 +951,114 @@ class ResourceControls {
     metadata.totalActiveTime += (now - lastActivity);
     
     this.tabMetadata.set(tabId, metadata);
+
+    if (tab) {
+      this.updateTabLocation(tab);
+    }
+
     this.saveTabData();
   }
 
+  /**
+   * Remember URL/window/index so the record can be re-matched after restart
+   */
+  updateTabLocation(tab) {
+    // Navigated to an excluded domain
+    if (this.trackingExclusions.isExcluded(tab.url)) {
+      this.forgetTab(tab.id);
+      this.saveTabData();
+      return;
+    }
+
+    const metadata = this.tabMetadata.get(tab.id);
+    if (!metadata) return;
+
+    if (tab.url && metadata.url !== tab.url) {
+      metadata.url = tab.url;
+      metadata.domain = this.extractDomain(tab.url);
+    }
+
+    if (tab.url) {
+      metadata.category = this.categorizeURL(tab.url, tab.title);
+    }
+
+    if (tab.windowId !== undefined) metadata.windowId = tab.windowId;
+    if (tab.index !== undefined) metadata.index = tab.index;
+
+    this.saveTabData();
+  }
+
+  /**
+   * Tab thuộc excluded domain (live tab hoặc URL đã lưu)
+   */
+  isExcludedTab(tabId, tab = null) {
+    const url = tab?.url || this.tabMetadata.get(tabId)?.url;
+    return this.trackingExclusions.isExcluded(url);
+  }
+
+  /**
+   * Drop stored records of a tab (activity, metadata, measurement, leak samples)
+   */
+  forgetTab(tabId) {
+    this.tabActivityTimes.delete(tabId);
+    this.tabMetadata.delete(tabId);
+    this.memoryCollector.removeTab(tabId);
+    this.leakDetector.reset(tabId);
+  }
+
+  /**
+   * Exclude domain khỏi tracking và xóa records đã lưu
+   */
+  async excludeDomain(domain) {
+    const host = await this.trackingExclusions.add(domain);
+    const purgedTabs = await this.purgeExcluded();
+
+    console.log('[ResourceControls] Excluded from tracking:', host, { purgedTabs });
+    return { domain: host, purgedTabs };
+  }
+
+  /**
+   * Xóa activity/metadata/leak samples của excluded domains (persist ngay)
+   */
+  async purgeExcluded() {
+    const tabIds = new Set();
+
+    for (const [tabId, metadata] of this.tabMetadata) {
+      if (this.trackingExclusions.isExcluded(metadata.url) ||
+          this.trackingExclusions.isExcludedDomain(metadata.domain)) {
+        tabIds.add(tabId);
+      }
+    }
+
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+      if (this.trackingExclusions.isExcluded(tab.url)) tabIds.add(tab.id);
+    }
+
+    for (const tabId of tabIds) {
+      this.forgetTab(tabId);
+    }
+
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = null;
+    }
+
+    await chrome.storage.local.set({
+      tabActivityTimes: Object.fromEntries(this.tabActivityTimes),
+      tabMetadata: Object.fromEntries(this.tabMetadata)
+    });
+
+    return tabIds.size;
+  }
+
   /**
    * Remove tab from tracking
    */
   removeTab(tabId) {
     this.tabActivityTimes.delete(tabId);
     this.tabMetadata.delete(tabId);
+    this.memoryCollector.removeTab(tabId);
     this.saveTabData();
   }
 
@@ -468,45 +1082,102 @@ class ResourceControls {
     }, 1000);
   }
 
+  /**
+   * Durable state snapshot (stats, pending tab data, cached memory)
+   */
+  async persistState() {
+    const local = { stats: this.stats };
+
+    // Flush pending debounced tab data now
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = null;
+      local.tabActivityTimes = Object.fromEntries(this.tabActivityTimes);
+      local.tabMetadata = Object.fromEntries(this.tabMetadata);
+    }
+
+    try {
+      await Promise.all([
+        chrome.storage.local.set(local),
+        chrome.storage.session.set({
+          stateSnapshot: {
+            memoryCache: this.memoryCache,
+            memoryCacheTime: this.memoryCacheTime,
+            savedAt: Date.now()
+          }
+        })
+      ]);
+    } catch (error) {
+      console.error('[ResourceControls] Snapshot error:', error);
+    }
+  }
+
+  /**
+   * Restore cached memory (status hysteresis, events) từ snapshot
+   */
+  async restoreSnapshot() {
+    const { stateSnapshot } = await chrome.storage.session.get('stateSnapshot');
+    if (!stateSnapshot) return false;
+
+    this.memoryCache = stateSnapshot.memoryCache;
+    this.memoryCacheTime = stateSnapshot.memoryCacheTime;
+
+    console.log('[ResourceControls] Restored snapshot from', new Date(stateSnapshot.savedAt).toLocaleTimeString());
+    return true;
+  }
+
   /**
    * Get comprehensive stats
+   * @param {Object} sample - optional { memory, tabs } from monitorRAM (skip re-query)
    */
-  async getStats() {
-    const memoryInfo = await this.getMemoryInfo();
-    const tabsInfo = await this.getTabsInfo();
+  async getStats(sample = null) {
+    const memoryInfo = sample?.memory || await this.getMemoryInfo();
+    const tabsInfo = sample?.tabs || await this.getTabsInfo();
 
     return {
       memory: memoryInfo,
       tabs: tabsInfo,
       config: this.config,
+      schedule: {
+        active: this.activeSchedule,
+        overriddenKeys: Object.keys(this.baseConfig)
+      },
       trackedTabs: this.tabActivityTimes.size,
       performance: {
         checksPerformed: this.stats.checksPerformed,
         averageCheckTime: this.stats.averageCheckTime,
         lastCheckTime: this.stats.lastCheckTime,
         peakMemoryUsage: this.stats.peakMemoryUsage,
-        averageMemoryUsage: Math.round(this.stats.averageMemoryUsage)
+        averageMemoryUsage: Math.round(this.stats.averageMemoryUsage),
+        monitorInterval: this.monitoring.intervalMs,
+        monitorMode: this.monitoring.mode
       }
     };
   }
 
   /**
    * Get RAM analysis
+   * @param {Object} stats - optional precomputed getStats() result
    */
-  async getRAMAnalysis() {
-    const stats = await this.getStats();
-    const { memory, tabs } = stats;
+  async getRAMAnalysis(stats = null) {
+    const { memory, tabs } = stats || await this.getStats();
+
+    // Excluded domains stay out of analytics
+    const tracked = tabs.tabs.filter(tab => !tab.excluded);
 
     // Category breakdown
     const categoryRAM = {};
     const domainRAM = {};
+    const estimatedDomains = new Set();
 
-    for (const tab of tabs.tabs) {
+    for (const tab of tracked) {
       const category = tab.metadata?.category || 'unknown';
       const domain = tab.metadata?.domain || 'unknown';
 
       categoryRAM[category] = (categoryRAM[category] || 0) + tab.estimatedRAM;
       domainRAM[domain] = (domainRAM[domain] || 0) + tab.estimatedRAM;
+
+      if (tab.ramSource !== 'measured') estimatedDomains.add(domain);
     }
 
     // Top consumers
@@ -518,40 +1189,263 @@ class ResourceControls {
     const topDomains = Object.entries(domainRAM)
       .sort((a, b) => b[1] - a[1])
       .slice(0, 10)
-      .map(([domain, ram]) => ({ domain, ram }));
+      .map(([domain, ram]) => ({
+        domain,
+        ram,
+        ramSource: estimatedDomains.has(domain) ? 'estimated' : 'measured'
+      }));
+
+    const { windows, groups } = await this.getGroupBreakdown(tracked);
+    const leaks = this.leakDetector.getLeaks(tracked, this.config);
+    const forecast = this.getForecast();
+    const duplicates = this.getDuplicates({ tabs: tracked });
+    const budgets = this.getBudgetViolations(tabs);
+    const totals = this.summarizeTabs(tracked);
 
     return {
       memory,
-      totalTabs: tabs.total,
-      totalRAM: tabs.totalRAM,
-      averageRAM: tabs.averageRAM,
+      totalTabs: totals.total,
+      totalRAM: totals.totalRAM,
+      averageRAM: totals.averageRAM,
+      measuredTabs: totals.measured,
+      measuredRAM: totals.measuredRAM,
+      ramSource: totals.ramSource,
       topCategories,
       topDomains,
-      recommendations: this.getRecommendations(memory, tabs)
+      windows,
+      groups,
+      leaks,
+      forecast,
+      duplicates,
+      budgets,
+      recommendations: this.getRecommendations(memory, tabs, leaks, forecast, duplicates, budgets)
+    };
+  }
+
+  /**
+   * Evaluate per-rule budgets (maxRAM, idleTimeout, maxTabs) against open tabs
+   * Tabs of excluded domains không được tính
+   */
+  getBudgetViolations(tabsInfo) {
+    const rules = new Map();
+
+    if (this.whitelistManager) {
+      for (const tab of tabsInfo.tabs) {
+        if (tab.excluded || this.isSystemPage(tab.url)) continue;
+
+        for (const { rule, budget } of this.whitelistManager.getBudgetMatches(tab.url, tab.title)) {
+          if (!rules.has(rule)) rules.set(rule, { budget, tabs: [] });
+          rules.get(rule).tabs.push(tab);
+        }
+      }
+    }
+
+    const violations = [];
+
+    for (const [rule, { budget, tabs }] of rules) {
+      const loaded = tabs.filter(tab => !tab.discarded);
+      const ram = loaded.reduce((sum, tab) => sum + tab.estimatedRAM, 0);
+
+      if (budget.maxRAM && ram > budget.maxRAM) {
+        violations.push({
+          rule,
+          type: 'maxRAM',
+          limit: budget.maxRAM,
+          actual: ram,
+          tabIds: loaded.slice().sort((a, b) => b.estimatedRAM - a.estimatedRAM).map(tab => tab.id)
+        });
+      }
+
+      if (budget.idleTimeout) {
+        const idle = loaded.filter(tab => !tab.isActive && !tab.audible && tab.inactiveMinutes >= budget.idleTimeout);
+        if (idle.length > 0) {
+          violations.push({
+            rule,
+            type: 'idleTimeout',
+            limit: budget.idleTimeout,
+            actual: Math.max(...idle.map(tab => tab.inactiveMinutes)),
+            tabIds: idle.map(tab => tab.id)
+          });
+        }
+      }
+
+      if (budget.maxTabs && tabs.length > budget.maxTabs) {
+        // Least recently used tabs are over the cap
+        const excess = tabs
+          .slice()
+          .sort((a, b) => a.lastActivity - b.lastActivity)
+          .slice(0, tabs.length - budget.maxTabs);
+
+        violations.push({
+          rule,
+          type: 'maxTabs',
+          limit: budget.maxTabs,
+          actual: tabs.length,
+          tabIds: excess.map(tab => tab.id)
+        });
+      }
+    }
+
+    return {
+      rules: this.whitelistManager ? this.whitelistManager.getBudgets().length : 0,
+      matchedRules: rules.size,
+      violations
+    };
+  }
+
+  /**
+   * Duplicate tab sets + RAM saved by closing the extra copies
+   */
+  getDuplicates(tabsInfo) {
+    const sets = this.duplicateDetector.find(tabsInfo.tabs);
+
+    return {
+      sets,
+      duplicateTabs: sets.reduce((sum, set) => sum + set.duplicateTabIds.length, 0),
+      savingsMB: sets.reduce((sum, set) => sum + set.savingsMB, 0)
+    };
+  }
+
+  /**
+   * Close duplicate copies, keep the most recently active one
+   * @param {string} normalizedUrl - only merge this set (null = all)
+   */
+  async mergeDuplicates(normalizedUrl = null) {
+    const tabsInfo = await this.getTabsInfo();
+    // Excluded tabs are hidden from the analysis - never close them here
+    const sets = this.duplicateDetector.find(tabsInfo.tabs.filter(tab => !tab.excluded))
+      .filter(set => !normalizedUrl || set.normalizedUrl === normalizedUrl);
+
+    const tabIds = sets.flatMap(set => set.duplicateTabIds);
+    if (tabIds.length > 0) {
+      await chrome.tabs.remove(tabIds);
+    }
+
+    const result = {
+      merged: sets.length,
+      closedTabs: tabIds.length,
+      savedMB: sets.reduce((sum, set) => sum + set.savingsMB, 0),
+      kept: sets.map(set => set.keepTabId)
     };
+
+    console.log('[ResourceControls] Merged duplicates:', result);
+    return result;
+  }
+
+  /**
+   * Forecast time until usage crosses emergencyThreshold
+   */
+  getForecast() {
+    const now = Date.now();
+    const { points } = this.history.query({
+      from: now - this.config.forecastWindow * 60000,
+      to: now,
+      tier: 'raw'
+    });
+
+    return this.forecaster.forecast(
+      points.map(p => ({ t: p.t, usagePercent: p.usagePercent.avg })),
+      this.config.emergencyThreshold
+    );
+  }
+
+  /**
+   * Forecast đủ gần (≤ forecastHorizon) và đủ confidence để cảnh báo
+   */
+  isForecastWarning(forecast, memory) {
+    return !!forecast &&
+      memory.status !== 'critical' &&
+      forecast.etaMinutes !== null &&
+      forecast.etaMinutes <= this.config.forecastHorizon &&
+      forecast.confidence >= this.config.forecastMinConfidence;
+  }
+
+  /**
+   * Emit forecast_warning khi early warning bắt đầu / kết thúc
+   */
+  checkForecast(memory) {
+    const forecast = this.getForecast();
+    const active = this.isForecastWarning(forecast, memory);
+
+    if (active !== !!this.forecastWarning) {
+      this.eventBus?.emit('forecast_warning', { active, forecast, usagePercent: memory.usagePercent });
+    }
+
+    this.forecastWarning = active ? forecast : null;
+    return forecast;
   }
 
   /**
    * Get recommendations based on RAM usage
    */
-  getRecommendations(memory, tabs) {
+  getRecommendations(memory, tabs, leaks = [], forecast = null, duplicates = null, budgets = null) {
     const recommendations = [];
 
-    if (memory.usagePercent > 85) {
+    // Early warning before usage crosses emergencyThreshold
+    if (this.isForecastWarning(forecast, memory)) {
+      recommendations.push({
+        level: 'warning',
+        message: `RAM usage is rising ${forecast.slopePerMinute}%/min and may exceed ${forecast.threshold}% in ~${Math.ceil(forecast.etaMinutes)} min.`,
+        forecast
+      });
+    }
+
+    if (memory.status === 'critical') {
       recommendations.push({
         level: 'critical',
-        message: 'RAM usage is critical. Consider closing some tabs.'
+        message: `RAM usage is above ${this.config.emergencyThreshold}%. Consider closing some tabs.`
       });
-    } else if (memory.usagePercent > 70) {
+    } else if (memory.status === 'warning') {
       recommendations.push({
         level: 'warning',
-        message: 'RAM usage is high. Monitor active tabs.'
+        message: `RAM usage is above ${this.config.warningThreshold}%. Monitor active tabs.`
+      });
+    }
+
+    // Tabs with steady memory growth
+    if (leaks.length > 0) {
+      recommendations.push({
+        level: 'warning',
+        message: `${leaks.length} tabs may be leaking memory. Reload them to free it.`,
+        action: 'reloadTab',
+        tabs: leaks.map(leak => ({
+          id: leak.tabId,
+          title: leak.title,
+          ram: leak.currentRAM,
+          growthMB: leak.growthMB,
+          slopeMBPerMin: leak.slopeMBPerMin
+        }))
+      });
+    }
+
+    // Duplicate copies of the same page
+    if (duplicates && duplicates.duplicateTabs > 0) {
+      recommendations.push({
+        level: 'info',
+        message: `${duplicates.duplicateTabs} duplicate tabs. Merging them frees ~${duplicates.savingsMB} MB.`,
+        action: 'mergeDuplicates',
+        savingsMB: duplicates.savingsMB
+      });
+    }
+
+    // Rules over their budget
+    if (budgets && budgets.violations.length > 0) {
+      recommendations.push({
+        level: 'warning',
+        message: `${budgets.violations.length} rule budgets exceeded.`,
+        violations: budgets.violations.map(v => ({
+          rule: v.rule,
+          type: v.type,
+          limit: v.limit,
+          actual: v.actual,
+          tabs: v.tabIds.length
+        }))
       });
     }
 
     // Find heavy tabs
     const heavyTabs = tabs.tabs
-      .filter(t => t.estimatedRAM > 200)
+      .filter(t => t.estimatedRAM > 200 && !t.excluded)
       .sort((a, b) => b.estimatedRAM - a.estimatedRAM)
       .slice(0, 5);
 
@@ -561,7 +1455,8 @@ class ResourceControls {
         message: `${heavyTabs.length} tabs using >200MB RAM`,
         tabs: heavyTabs.map(t => ({
           title: t.title,
-          ram: t.estimatedRAM
+          ram: t.estimatedRAM,
+          ramSource: t.ramSource
         }))
       });
     }
@@ -0,0 +1,434 @@
+/**
+ * RuleImporter - Import rules/sessions từ extension khác
+ * The Great Suspender / Marvellous Suspender, Auto Tab Discard, OneTab, TXT, CSV
+ * preview() không thay đổi gì; apply() parse lại cùng input rồi mới commit
+ */
+
+class RuleImporter {
+  constructor(whitelistManager, sessionManager) {
+    this.whitelistManager = whitelistManager;
+    this.sessionManager = sessionManager;
+
+    this.formats = [
+      'auto',
+      'native',
+      'suspender-whitelist',
+      'suspender-session',
+      'auto-tab-discard',
+      'onetab',
+      'text',
+      'csv'
+    ];
+
+    // CSV header names
+    this.ruleColumns = ['rule', 'domain', 'hostname', 'host', 'url', 'pattern', 'site'];
+    this.listColumns = ['list', 'type', 'action'];
+  }
+
+  /**
+   * Đoán format từ nội dung
+   */
+  detectFormat(text) {
+    const trimmed = text.trim();
+
+    if (trimmed.startsWith('{')) {
+      try {
+        const data = JSON.parse(trimmed);
+        return Array.isArray(data.blacklist) ? 'native' : 'auto-tab-discard';
+      } catch (e) {
+        return 'text';
+      }
+    }
+
+    const lines = this.splitLines(trimmed).filter(Boolean);
+
+    if (lines.some(line => line.includes('suspended.html#'))) return 'suspender-session';
+    if (lines.some(line => /^[a-z][a-z0-9+.\-]*:\/\/\S+ \| /i.test(line))) return 'onetab';
+    if (lines.length > 0 && lines[0].includes(',')) return 'csv';
+    return 'text';
+  }
+
+  /**
+   * Parse input → { rules: [{ input, rule, list }], skipped, sessions }
+   */
+  parse(text, { format = 'auto', list = 'whitelist' } = {}) {
+    if (!this.formats.includes(format)) {
+      throw new Error('Unknown import format: ' + format);
+    }
+
+    const resolved = format === 'auto' ? this.detectFormat(text) : format;
+
+    switch (resolved) {
+      case 'native':
+        return { format: resolved, ...this.parseNative(text) };
+      case 'suspender-whitelist':
+        return { format: resolved, ...this.parseSuspenderWhitelist(text, list) };
+      case 'suspender-session':
+        return { format: resolved, ...this.parseSessions(text, 'suspender') };
+      case 'auto-tab-discard':
+        return { format: resolved, ...this.parseAutoTabDiscard(text) };
+      case 'onetab':
+        return { format: resolved, ...this.parseSessions(text, 'onetab') };
+      case 'csv':
+        return { format: resolved, ...this.parseCSV(text, list) };
+      default:
+        return { format: resolved, ...this.parseText(text, list) };
+    }
+  }
+
+  /**
+   * Own exportRules() JSON - temporary rules giữ expiry, budgets đi kèm
+   */
+  parseNative(text) {
+    const data = JSON.parse(text);
+    const rules = [];
+    const skipped = [];
+
+    for (const list of ['whitelist', 'blacklist']) {
+      for (const input of data[list] || []) {
+        const expiresAt = data.expiry?.[list]?.[input];
+
+        if (expiresAt === undefined) {
+          rules.push({ input, rule: input, list });
+        } else if (typeof expiresAt === 'number' && expiresAt > Date.now()) {
+          rules.push({ input, rule: input, list, expiresAt });
+        } else {
+          skipped.push({ input, reason: 'Temporary rule already expired' });
+        }
+      }
+    }
+
+    const budgets = Object.entries(data.budgets || {}).map(([rule, budget]) => ({ rule, budget }));
+
+    return { rules, skipped, sessions: [], budgets };
+  }
+
+  /**
+   * Plain text - một rule/domain mỗi dòng, "#" = comment
+   */
+  parseText(text, list) {
+    const rules = this.splitLines(text)
+      .filter(line => line && !line.startsWith('#'))
+      .map(input => ({ input, rule: input, list }));
+
+    return { rules, skipped: [], sessions: [] };
+  }
+
+  /**
+   * CSV: rule[,list] - header optional
+   */
+  parseCSV(text, list) {
+    const rows = this.splitLines(text).filter(Boolean).map(line => this.parseCSVRow(line));
+    const skipped = [];
+    let ruleIndex = 0;
+    let listIndex = 1;
+
+    const header = rows[0]?.map(cell => cell.toLowerCase());
+    if (header && header.some(cell => this.ruleColumns.includes(cell))) {
+      ruleIndex = header.findIndex(cell => this.ruleColumns.includes(cell));
+      listIndex = header.findIndex(cell => this.listColumns.includes(cell));
+      rows.shift();
+    }
+
+    const rules = [];
+    for (const row of rows) {
+      const input = row[ruleIndex];
+      if (!input) continue;
+
+      const target = listIndex >= 0 && row[listIndex] ? this.parseList(row[listIndex]) : list;
+      if (!target) {
+        skipped.push({ input, reason: 'Unknown list: ' + row[listIndex] });
+        continue;
+      }
+
+      rules.push({ input, rule: input, list: target });
+    }
+
+    return { rules, skipped, sessions: [] };
+  }
+
+  /**
+   * Một dòng CSV (quoted fields, "" escape)
+   */
+  parseCSVRow(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',' || char === ';') {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    cells.push(cell.trim());
+    return cells;
+  }
+
+  /**
+   * List name / synonyms → whitelist | blacklist | null
+   */
+  parseList(value) {
+    const name = value.trim().toLowerCase();
+    if (['whitelist', 'allow', 'never', 'protect', 'keep'].includes(name)) return 'whitelist';
+    if (['blacklist', 'block', 'always', 'sleep', 'discard'].includes(name)) return 'blacklist';
+    return null;
+  }
+
+  /**
+   * Great/Marvellous Suspender whitelist: substring mỗi dòng, /regex/ = regex
+   * Hostname → site: (hostname + subdomains), còn lại giữ nguyên substring semantics
+   */
+  parseSuspenderWhitelist(text, list) {
+    const rules = [];
+
+    for (const input of this.splitLines(text).filter(Boolean)) {
+      const regex = /^\/(.+)\/$/.exec(input);
+
+      if (regex) {
+        rules.push({ input, rule: 'regex:' + regex[1], list });
+      } else if (/^[a-z0-9\-_.]+\.[a-z0-9\-_]+$/i.test(input)) {
+        rules.push({ input, rule: 'site:' + input, list });
+      } else {
+        rules.push({ input, rule: 'regex:' + input.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), list });
+      }
+    }
+
+    return { rules, skipped: [], sessions: [] };
+  }
+
+  /**
+   * Auto Tab Discard preferences JSON: whitelist array ("re:" prefix = regex)
+   */
+  parseAutoTabDiscard(text) {
+    const data = JSON.parse(text);
+    const rules = [];
+
+    if (!Array.isArray(data.whitelist)) {
+      throw new Error('No whitelist in Auto Tab Discard preferences');
+    }
+
+    for (const input of data.whitelist) {
+      if (typeof input !== 'string' || !input.trim()) continue;
+
+      const rule = input.startsWith('re:') ? 'regex:' + input.slice(3) : input;
+      rules.push({ input, rule, list: 'whitelist' });
+    }
+
+    return { rules, skipped: [], sessions: [] };
+  }
+
+  /**
+   * OneTab ("url | title") / Suspender session export (URLs)
+   * Blank line = new tab group / window
+   */
+  parseSessions(text, source) {
+    const sessions = [];
+    const skipped = [];
+    let tabs = [];
+
+    const flush = () => {
+      if (tabs.length === 0) return;
+      sessions.push({
+        name: `${source === 'onetab' ? 'OneTab' : 'Suspender'} ${sessions.length + 1}`,
+        source,
+        tabs
+      });
+      tabs = [];
+    };
+
+    for (const line of this.splitLines(text)) {
+      if (!line) {
+        flush();
+        continue;
+      }
+
+      const separator = line.indexOf(' | ');
+      let url = separator === -1 ? line : line.slice(0, separator);
+      let title = separator === -1 ? '' : line.slice(separator + 3);
+
+      // Suspended page → original URL + title
+      const suspended = this.unwrapSuspended(url);
+      if (suspended) {
+        url = suspended.url;
+        title = title || suspended.title;
+      }
+
+      if (!/^https?:\/\//i.test(url)) {
+        skipped.push({ input: line, reason: 'Not a web page URL' });
+        continue;
+      }
+
+      tabs.push({ url, title: title || url });
+    }
+
+    flush();
+    return { rules: [], skipped, sessions };
+  }
+
+  /**
+   * chrome-extension://…/suspended.html#ttl=…&pos=…&uri=… → { url, title }
+   */
+  unwrapSuspended(url) {
+    const hashIndex = url.indexOf('suspended.html#');
+    if (hashIndex === -1) return null;
+
+    const hash = url.slice(hashIndex + 'suspended.html#'.length);
+    const uriIndex = hash.indexOf('uri=');
+    if (uriIndex === -1) return null;
+
+    // uri is always last and is not encoded
+    const title = /(?:^|&)ttl=([^&]*)/.exec(hash.slice(0, uriIndex));
+    let decodedTitle = '';
+    try {
+      decodedTitle = title ? decodeURIComponent(title[1]) : '';
+    } catch (e) {
+      decodedTitle = title[1];
+    }
+
+    return { url: hash.slice(uriIndex + 4), title: decodedTitle };
+  }
+
+  /**
+   * Preview: added / skipped / conflicting, không commit
+   */
+  preview(text, options = {}) {
+    const parsed = this.parse(text, options);
+    const skipped = [...parsed.skipped];
+    const rules = [];
+    const seen = new Set();
+
+    for (const { input, rule, list, expiresAt } of parsed.rules) {
+      const validation = this.whitelistManager.validateRule(rule);
+
+      if (!validation.valid) {
+        skipped.push({ input, reason: validation.error });
+        continue;
+      }
+
+      const key = list + '|' + validation.rule;
+      const existing = list === 'blacklist' ? this.whitelistManager.blacklist : this.whitelistManager.whitelist;
+
+      if (seen.has(key)) {
+        skipped.push({ input, reason: 'Duplicate in import' });
+      } else if (existing.has(validation.rule)) {
+        skipped.push({ input, reason: `Already in ${list}` });
+      } else {
+        seen.add(key);
+        rules.push({ input, rule: validation.rule, list, kind: validation.kind, expiresAt: expiresAt || null });
+      }
+    }
+
+    const budgets = [];
+    for (const { rule, budget } of parsed.budgets || []) {
+      const validation = this.whitelistManager.validateRule(rule);
+      if (!validation.valid) {
+        skipped.push({ input: rule, reason: 'Budget: ' + validation.error });
+        continue;
+      }
+
+      try {
+        budgets.push({ rule: validation.rule, ...this.whitelistManager.validateBudget(budget) });
+      } catch (error) {
+        skipped.push({ input: rule, reason: 'Budget: ' + error.message });
+      }
+    }
+
+    const conflicts = this.whitelistManager.previewConflicts(rules);
+
+    // Existing sessions are never evicted: groups beyond the free slots are skipped
+    const freeSlots = this.sessionManager.getFreeSlots();
+    const sessions = parsed.sessions
+      .slice(0, freeSlots)
+      .map(session => ({ ...session, tabCount: session.tabs.length }));
+
+    for (const session of parsed.sessions.slice(freeSlots)) {
+      skipped.push({
+        input: session.name,
+        reason: `Session limit reached (${this.sessionManager.maxSessions}), ${session.tabs.length} tabs not imported`
+      });
+    }
+
+    return {
+      format: parsed.format,
+      rules,
+      budgets,
+      skipped,
+      conflicts,
+      sessions,
+      summary: {
+        rules: rules.length,
+        temporary: rules.filter(entry => entry.expiresAt).length,
+        budgets: budgets.length,
+        skipped: skipped.length,
+        conflicts: conflicts.length,
+        sessions: sessions.length,
+        sessionsOverLimit: parsed.sessions.length - sessions.length,
+        tabs: sessions.reduce((sum, session) => sum + session.tabCount, 0)
+      }
+    };
+  }
+
+  /**
+   * Commit import (re-parse cùng input → không tin preview từ client)
+   */
+  async apply(text, options = {}) {
+    const preview = this.preview(text, options);
+
+    const added = await this.whitelistManager.addRules(preview.rules);
+
+    for (const { rule, ...budget } of preview.budgets) {
+      await this.whitelistManager.setBudget(rule, budget);
+    }
+
+    const sessions = [];
+    for (const session of preview.sessions) {
+      sessions.push(await this.sessionManager.importSession(session));
+    }
+
+    console.log('[RuleImporter] Imported:', preview.format, {
+      rules: added,
+      budgets: preview.budgets.length,
+      skipped: preview.skipped.length,
+      conflicts: preview.conflicts.length,
+      sessions: sessions.length
+    });
+
+    return {
+      format: preview.format,
+      added,
+      budgets: preview.budgets.length,
+      skipped: preview.skipped,
+      conflicts: preview.conflicts,
+      sessions
+    };
+  }
+
+  /**
+   * Split lines (CRLF-safe, trimmed)
+   */
+  splitLines(text) {
+    return text.split(/\r?\n/).map(line => line.trim());
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RuleImporter;
+}
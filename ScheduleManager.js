@@ -0,0 +1,208 @@
+/**
+ * ScheduleManager - Config profiles theo giờ trong ngày và thứ trong tuần
+ * Ví dụ: ramLimit thấp hơn trong giờ làm việc (Mon-Fri 09:00-18:00)
+ */
+
+class ScheduleManager {
+  constructor(validateConfig = null) {
+    this.schedules = [];
+
+    // Value types/ranges + thresholds vs user config (throws on invalid)
+    this.validateConfig = validateConfig;
+
+    // Config keys a profile may override
+    this.allowedKeys = [
+      'ramLimit',
+      'optimalThreshold',
+      'warningThreshold',
+      'emergencyThreshold',
+      'hysteresisBand',
+      'autoDiscard',
+      'maxDiscardsPerCheck',
+      'discardMinInactive'
+    ];
+  }
+
+  /**
+   * Khởi tạo - Load từ storage
+   */
+  async initialize() {
+    const stored = await chrome.storage.local.get('schedules');
+
+    if (stored.schedules) {
+      // Config values re-checked when applied (thresholds may have changed since)
+      this.schedules = stored.schedules.filter(s => this.validateSchedule(s, false).valid);
+    }
+
+    console.log('[ScheduleManager] Initialized:', {
+      schedules: this.schedules.length
+    });
+
+    return this;
+  }
+
+  /**
+   * Parse "HH:MM" → minutes since midnight
+   */
+  parseTime(time) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(time || '');
+    if (!match) return null;
+    return parseInt(match[1]) * 60 + parseInt(match[2]);
+  }
+
+  /**
+   * Validate schedule (checkConfig = also validate config values)
+   */
+  validateSchedule(schedule, checkConfig = true) {
+    if (!schedule || typeof schedule !== 'object') {
+      return { valid: false, error: 'Schedule must be an object' };
+    }
+
+    if (typeof schedule.name !== 'string' || !schedule.name.trim()) {
+      return { valid: false, error: 'Schedule name is required' };
+    }
+
+    if (!Array.isArray(schedule.days) || schedule.days.length === 0 ||
+        !schedule.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      return { valid: false, error: 'Days must be a non-empty list of 0 (Sun) - 6 (Sat)' };
+    }
+
+    const start = this.parseTime(schedule.start);
+    const end = this.parseTime(schedule.end);
+    if (start === null || end === null || start === end) {
+      return { valid: false, error: 'Start/end must be different HH:MM times' };
+    }
+
+    if (!schedule.config || typeof schedule.config !== 'object' || Object.keys(schedule.config).length === 0) {
+      return { valid: false, error: 'Schedule config is required' };
+    }
+
+    const unknown = Object.keys(schedule.config).filter(key => !this.allowedKeys.includes(key));
+    if (unknown.length > 0) {
+      return { valid: false, error: 'Unsupported config keys: ' + unknown.join(', ') };
+    }
+
+    if (checkConfig && this.validateConfig) {
+      try {
+        this.validateConfig(schedule.config);
+      } catch (error) {
+        return { valid: false, error: error.message };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Check if schedule covers a given moment
+   * Windows crossing midnight (22:00-06:00) belong to the start day
+   */
+  isActiveAt(schedule, date) {
+    if (schedule.enabled === false) return false;
+
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const day = date.getDay();
+    const start = this.parseTime(schedule.start);
+    const end = this.parseTime(schedule.end);
+
+    if (start < end) {
+      return schedule.days.includes(day) && minutes >= start && minutes < end;
+    }
+
+    const previousDay = (day + 6) % 7;
+    return (schedule.days.includes(day) && minutes >= start) ||
+           (schedule.days.includes(previousDay) && minutes < end);
+  }
+
+  /**
+   * Active schedule (first match wins, list order = priority)
+   */
+  getActiveSchedule(date = new Date()) {
+    return this.schedules.find(schedule => this.isActiveAt(schedule, date)) || null;
+  }
+
+  /**
+   * Next time the active schedule changes (scan up to 7 days)
+   */
+  getNextChange(date = new Date()) {
+    if (!this.schedules.some(schedule => schedule.enabled !== false)) return null;
+
+    const current = this.getActiveSchedule(date);
+    const probe = new Date(date);
+    probe.setSeconds(0, 0);
+
+    for (let i = 0; i < 7 * 24 * 60; i++) {
+      probe.setMinutes(probe.getMinutes() + 1);
+      const next = this.getActiveSchedule(probe);
+      if ((next?.id || null) !== (current?.id || null)) {
+        return { at: probe.getTime(), schedule: next ? { id: next.id, name: next.name } : null };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Thêm hoặc cập nhật schedule
+   */
+  async saveSchedule(schedule) {
+    const validation = this.validateSchedule(schedule);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const saved = {
+      id: schedule.id || 'schedule-' + Date.now().toString(36),
+      name: schedule.name.trim(),
+      days: [...new Set(schedule.days)].sort(),
+      start: schedule.start,
+      end: schedule.end,
+      config: { ...schedule.config },
+      enabled: schedule.enabled !== false,
+      updatedAt: Date.now()
+    };
+
+    const index = this.schedules.findIndex(s => s.id === saved.id);
+    if (index === -1) {
+      this.schedules.push(saved);
+    } else {
+      this.schedules[index] = saved;
+    }
+
+    await this.save();
+    console.log('[ScheduleManager] Saved schedule:', saved.name);
+    return saved;
+  }
+
+  /**
+   * Xóa schedule
+   */
+  async removeSchedule(id) {
+    const index = this.schedules.findIndex(s => s.id === id);
+    if (index === -1) return false;
+
+    this.schedules.splice(index, 1);
+    await this.save();
+    console.log('[ScheduleManager] Removed schedule:', id);
+    return true;
+  }
+
+  /**
+   * Get all schedules
+   */
+  getSchedules() {
+    return this.schedules;
+  }
+
+  /**
+   * Lưu vào storage
+   */
+  async save() {
+    await chrome.storage.local.set({ schedules: this.schedules });
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScheduleManager;
+}
@@ -0,0 +1,347 @@
+/**
+ * SessionManager - Named snapshots của window / tab group
+ * Park working set (đóng tabs để giải phóng RAM), restore lại sau
+ */
+
+class SessionManager {
+  constructor(resourceControls) {
+    this.resourceControls = resourceControls;
+    this.sessions = [];
+    this.maxSessions = 50;
+  }
+
+  /**
+   * Initialize - load từ storage
+   */
+  async initialize() {
+    const stored = await chrome.storage.local.get('tabSessions');
+
+    if (stored.tabSessions) {
+      this.sessions = stored.tabSessions;
+    }
+
+    console.log('[SessionManager] Initialized:', {
+      sessions: this.sessions.length
+    });
+
+    return this;
+  }
+
+  /**
+   * Snapshot tabs of a window or a tab group
+   * @param {Object} options - { windowId | groupId, name, close }
+   */
+  async snapshot({ windowId, groupId, name, close = false }) {
+    if (windowId === undefined && groupId === undefined) {
+      throw new Error('windowId or groupId is required');
+    }
+
+    // Không evict sessions cũ (parked sessions là data duy nhất còn lại)
+    if (this.getFreeSlots() === 0) {
+      throw new Error(`Session limit reached (${this.maxSessions})`);
+    }
+
+    const tabsInfo = await this.resourceControls.getTabsInfo();
+    const tabs = tabsInfo.tabs
+      .filter(tab => groupId !== undefined ? tab.groupId === groupId : tab.windowId === windowId)
+      .filter(tab => !this.resourceControls.isSystemPage(tab.url))
+      .sort((a, b) => a.index - b.index);
+
+    if (tabs.length === 0) {
+      throw new Error('No tabs to snapshot');
+    }
+
+    const groups = await this.getGroupInfo(tabs);
+
+    const session = {
+      id: 'session-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      name: (name || '').trim() || this.defaultName(groupId !== undefined ? groups[groupId] : null),
+      source: groupId !== undefined ? { type: 'group', groupId } : { type: 'window', windowId },
+      createdAt: Date.now(),
+      tabs: tabs.map(tab => ({
+        url: tab.url,
+        title: tab.title,
+        pinned: tab.pinned,
+        groupId: tab.groupId,
+        category: tab.metadata?.category || this.resourceControls.categorizeURL(tab.url, tab.title),
+        ram: tab.estimatedRAM,
+        ramSource: tab.ramSource
+      })),
+      groups,
+      totalRAM: tabs.reduce((sum, tab) => sum + tab.estimatedRAM, 0),
+      measuredTabs: tabs.filter(tab => tab.ramSource === 'measured').length,
+      closed: false,
+      freedRAM: 0,
+      closedAt: null,
+      restoredAt: null,
+      restoreCount: 0
+    };
+
+    if (close) {
+      await this.keepWindowOpen(tabsInfo.tabs, tabs);
+      await chrome.tabs.remove(tabs.map(tab => tab.id));
+
+      // Discarded tabs were already holding almost nothing
+      session.freedRAM = tabs
+        .filter(tab => !tab.discarded)
+        .reduce((sum, tab) => sum + tab.estimatedRAM, 0);
+      session.closed = true;
+      session.closedAt = Date.now();
+    }
+
+    this.sessions.unshift(session);
+
+    await this.save();
+    console.log('[SessionManager] Snapshot:', session.name, {
+      tabs: session.tabs.length,
+      totalRAM: session.totalRAM,
+      freedRAM: session.freedRAM
+    });
+
+    return this.summarize(session);
+  }
+
+  /**
+   * Add session from another tool (saved closed, không mở tabs)
+   * Không bao giờ evict sessions đã có - refuse khi đã đủ maxSessions
+   * @param {Object} data - { name, tabs: [{ url, title, pinned }], source }
+   */
+  async importSession({ name, tabs, source = 'import' }) {
+    if (!tabs || tabs.length === 0) {
+      throw new Error('No tabs to import');
+    }
+
+    if (this.getFreeSlots() === 0) {
+      throw new Error(`Session limit reached (${this.maxSessions})`);
+    }
+
+    const session = {
+      id: 'session-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      name: (name || '').trim() || this.defaultName(null),
+      source: { type: 'import', from: source },
+      createdAt: Date.now(),
+      tabs: tabs.map(tab => ({
+        url: tab.url,
+        title: tab.title || tab.url,
+        pinned: !!tab.pinned,
+        groupId: -1,
+        category: this.resourceControls.categorizeURL(tab.url, tab.title || ''),
+        ram: 0,
+        ramSource: 'estimated'
+      })),
+      groups: {},
+      totalRAM: 0,
+      measuredTabs: 0,
+      closed: true,
+      freedRAM: 0,
+      closedAt: Date.now(),
+      restoredAt: null,
+      restoreCount: 0
+    };
+
+    this.sessions.unshift(session);
+
+    await this.save();
+    console.log('[SessionManager] Imported:', session.name, { tabs: session.tabs.length, source });
+
+    return this.summarize(session);
+  }
+
+  /**
+   * Đóng hết tabs của window sẽ đóng luôn window (có thể cả browser) -
+   * mở new-tab page trước khi remove
+   */
+  async keepWindowOpen(allTabs, closing) {
+    const closingIds = new Set(closing.map(tab => tab.id));
+    const windowId = closing[0].windowId;
+    const remaining = allTabs.filter(tab => tab.windowId === windowId && !closingIds.has(tab.id));
+
+    if (remaining.length === 0) {
+      await chrome.tabs.create({ windowId, active: true });
+    }
+  }
+
+  /**
+   * Sessions còn có thể thêm trước khi đạt maxSessions
+   */
+  getFreeSlots() {
+    return Math.max(0, this.maxSessions - this.sessions.length);
+  }
+
+  /**
+   * Title/color of tab groups in the snapshot
+   */
+  async getGroupInfo(tabs) {
+    const groups = {};
+    const groupIds = [...new Set(tabs.map(tab => tab.groupId).filter(id => id !== -1))];
+
+    for (const groupId of groupIds) {
+      try {
+        const group = await chrome.tabGroups.get(groupId);
+        groups[groupId] = { title: group.title || '', color: group.color, collapsed: group.collapsed };
+      } catch (error) {
+        groups[groupId] = { title: '', color: 'grey', collapsed: false };
+      }
+    }
+
+    return groups;
+  }
+
+  /**
+   * Default name: group title hoặc ngày giờ
+   */
+  defaultName(group) {
+    const time = new Date().toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+    return group?.title ? `${group.title} (${time})` : `Session ${time}`;
+  }
+
+  /**
+   * Restore session tabs (new window by default), recreating groups
+   */
+  async restore(id, { newWindow = true } = {}) {
+    const session = this.getSession(id);
+    if (!session) {
+      throw new Error('Session not found: ' + id);
+    }
+
+    let windowId;
+    const created = [];
+
+    if (newWindow) {
+      const win = await chrome.windows.create({ url: session.tabs[0].url, focused: true });
+      windowId = win.id;
+      created.push(win.tabs[0]);
+    } else {
+      windowId = (await chrome.windows.getCurrent()).id;
+    }
+
+    for (const saved of session.tabs.slice(created.length)) {
+      created.push(await chrome.tabs.create({ windowId, url: saved.url, active: false }));
+    }
+
+    // Pinned state + groups
+    const regroup = new Map();
+    for (let i = 0; i < created.length; i++) {
+      const saved = session.tabs[i];
+
+      if (saved.pinned) {
+        await chrome.tabs.update(created[i].id, { pinned: true });
+      } else if (saved.groupId !== -1) {
+        if (!regroup.has(saved.groupId)) regroup.set(saved.groupId, []);
+        regroup.get(saved.groupId).push(created[i].id);
+      }
+    }
+
+    for (const [oldGroupId, tabIds] of regroup) {
+      const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+      const info = session.groups[oldGroupId];
+      if (info) {
+        await chrome.tabGroups.update(groupId, { title: info.title, color: info.color });
+      }
+    }
+
+    session.restoredAt = Date.now();
+    session.restoreCount++;
+    session.closed = false;
+    await this.save();
+
+    console.log('[SessionManager] Restored:', session.name, { tabs: created.length });
+    return { session: this.summarize(session), windowId, tabIds: created.map(tab => tab.id) };
+  }
+
+  /**
+   * Đổi tên session
+   */
+  async rename(id, name) {
+    const session = this.getSession(id);
+    if (!session) {
+      throw new Error('Session not found: ' + id);
+    }
+
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error('Session name is required');
+    }
+
+    session.name = name.trim();
+    await this.save();
+    return this.summarize(session);
+  }
+
+  /**
+   * Xóa session
+   */
+  async remove(id) {
+    const index = this.sessions.findIndex(session => session.id === id);
+    if (index === -1) return false;
+
+    this.sessions.splice(index, 1);
+    await this.save();
+    console.log('[SessionManager] Removed session:', id);
+    return true;
+  }
+
+  /**
+   * Export session as JSON
+   */
+  export(id) {
+    const session = this.getSession(id);
+    if (!session) {
+      throw new Error('Session not found: ' + id);
+    }
+
+    return JSON.stringify({
+      version: '3.0.0',
+      type: 'tabSession',
+      exportedAt: Date.now(),
+      session
+    }, null, 2);
+  }
+
+  /**
+   * Get full session
+   */
+  getSession(id) {
+    return this.sessions.find(session => session.id === id) || null;
+  }
+
+  /**
+   * Session without tab list
+   */
+  summarize({ tabs, groups, ...session }) {
+    return {
+      ...session,
+      tabCount: tabs.length,
+      groupCount: Object.keys(groups).length
+    };
+  }
+
+  /**
+   * List sessions (newest first)
+   */
+  getSessions() {
+    return this.sessions.map(session => this.summarize(session));
+  }
+
+  /**
+   * Get statistics
+   */
+  getStats() {
+    return {
+      sessions: this.sessions.length,
+      parked: this.sessions.filter(session => session.closed).length,
+      totalFreedRAM: this.sessions.reduce((sum, session) => sum + session.freedRAM, 0)
+    };
+  }
+
+  /**
+   * Lưu vào storage
+   */
+  async save() {
+    await chrome.storage.local.set({ tabSessions: this.sessions });
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SessionManager;
+}
@@ -0,0 +1,210 @@
+/**
+ * TabCategorizer - Rule-based URL categorisation
+ * Rules match hostname / path / title (regex), user rules có priority cao hơn
+ */
+
+class TabCategorizer {
+  constructor(eventBus = null) {
+    this.eventBus = eventBus;
+
+    // Built-in rules, first match wins
+    this.defaultRules = [
+      { id: 'default-video', category: 'video', hostname: 'youtube|netflix|twitch|vimeo|dailymotion' },
+      { id: 'default-social', category: 'social', hostname: 'facebook|twitter|instagram|linkedin|reddit|tiktok' },
+      { id: 'default-development', category: 'development', hostname: 'github|gitlab|stackoverflow' },
+      { id: 'default-productivity', category: 'productivity', hostname: 'docs\\.google|notion|slack|trello|asana|jira' },
+      { id: 'default-shopping', category: 'shopping', hostname: 'amazon|ebay|shop|store' },
+      { id: 'default-shopping-path', category: 'shopping', path: 'cart|checkout|buy' },
+      { id: 'default-news', category: 'news', hostname: 'news|bbc|cnn|reuters|nytimes|guardian|medium|blog' }
+    ];
+
+    this.defaultCategory = 'general';
+    this.userRules = [];
+    this.compiled = [];
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize - load user rules từ storage
+   */
+  async initialize() {
+    if (this.initialized) return this;
+
+    try {
+      const stored = await chrome.storage.local.get('categoryRules');
+
+      if (stored.categoryRules) {
+        this.userRules = stored.categoryRules.filter(rule => this.validateRule(rule).valid);
+      }
+    } catch (error) {
+      console.error('[TabCategorizer] Init error:', error);
+    }
+
+    this.compileRules();
+    this.initialized = true;
+
+    console.log('[TabCategorizer] Initialized:', {
+      userRules: this.userRules.length
+    });
+
+    return this;
+  }
+
+  /**
+   * Compile rules cho fast matching
+   */
+  compileRules() {
+    this.compiled = [...this.userRules, ...this.defaultRules].map(rule => ({
+      rule,
+      hostname: rule.hostname ? new RegExp(rule.hostname, 'i') : null,
+      path: rule.path ? new RegExp(rule.path, 'i') : null,
+      title: rule.title ? new RegExp(rule.title, 'i') : null
+    }));
+  }
+
+  /**
+   * Categorize URL (+ optional title)
+   */
+  categorize(url, title = '') {
+    let hostname, path;
+
+    try {
+      const parsed = new URL(url);
+      hostname = parsed.hostname.toLowerCase();
+      path = parsed.pathname;
+    } catch {
+      return 'unknown';
+    }
+
+    for (const matcher of this.compiled) {
+      if (matcher.hostname && !matcher.hostname.test(hostname)) continue;
+      if (matcher.path && !matcher.path.test(path)) continue;
+      if (matcher.title && !matcher.title.test(title || '')) continue;
+      return matcher.rule.category;
+    }
+
+    return this.defaultCategory;
+  }
+
+  /**
+   * Validate rule
+   */
+  validateRule(rule) {
+    if (!rule || typeof rule !== 'object') {
+      return { valid: false, error: 'Rule must be an object' };
+    }
+
+    if (typeof rule.category !== 'string' || !/^[a-z0-9_-]{1,32}$/i.test(rule.category)) {
+      return { valid: false, error: 'Category must be 1-32 letters, digits, "-" or "_"' };
+    }
+
+    const fields = ['hostname', 'path', 'title'].filter(field => rule[field]);
+    if (fields.length === 0) {
+      return { valid: false, error: 'Rule needs at least one of hostname, path, title' };
+    }
+
+    for (const field of fields) {
+      try {
+        new RegExp(rule[field], 'i');
+      } catch (e) {
+        return { valid: false, error: `Invalid ${field} pattern: ${e.message}` };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Thêm user rule
+   */
+  async addRule(rule) {
+    const validation = this.validateRule(rule);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const newRule = {
+      id: 'user-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      category: rule.category.toLowerCase(),
+      hostname: rule.hostname || null,
+      path: rule.path || null,
+      title: rule.title || null
+    };
+
+    this.userRules.push(newRule);
+    this.compileRules();
+    await this.save();
+
+    console.log('[TabCategorizer] Added rule:', newRule);
+    return newRule;
+  }
+
+  /**
+   * Xóa user rule
+   */
+  async removeRule(id) {
+    const index = this.userRules.findIndex(rule => rule.id === id);
+    if (index === -1) return false;
+
+    this.userRules.splice(index, 1);
+    this.compileRules();
+    await this.save();
+
+    console.log('[TabCategorizer] Removed rule:', id);
+    return true;
+  }
+
+  /**
+   * Import user rules (invalid rules are skipped)
+   */
+  async importRules(rules) {
+    if (!Array.isArray(rules)) return 0;
+
+    this.userRules = rules.filter(rule => this.validateRule(rule).valid);
+    this.compileRules();
+    await this.save();
+
+    console.log('[TabCategorizer] Imported rules:', this.userRules.length);
+    return this.userRules.length;
+  }
+
+  /**
+   * Get all categories (built-in + user-defined)
+   */
+  getCategories() {
+    const categories = new Set([
+      ...this.userRules.map(rule => rule.category),
+      ...this.defaultRules.map(rule => rule.category),
+      this.defaultCategory
+    ]);
+    return Array.from(categories);
+  }
+
+  /**
+   * Get rules
+   */
+  getRules() {
+    return {
+      userRules: this.userRules,
+      defaultRules: this.defaultRules,
+      categories: this.getCategories()
+    };
+  }
+
+  /**
+   * Lưu vào storage
+   */
+  async save() {
+    await chrome.storage.local.set({ categoryRules: this.userRules });
+
+    this.eventBus?.emit('rules_changed', {
+      source: 'category',
+      userRules: this.userRules.length
+    });
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TabCategorizer;
+}
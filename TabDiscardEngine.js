@@ -0,0 +1,230 @@
+/**
+ * TabDiscardEngine - Enforce ramLimit bằng chrome.tabs.discard
+ * Chạy sau mỗi lần monitorRAM, log mọi action kèm lý do
+ */
+
+class TabDiscardEngine {
+  constructor(resourceControls, whitelistManager, eventBus = null) {
+    this.resourceControls = resourceControls;
+    this.whitelistManager = whitelistManager;
+    this.eventBus = eventBus;
+    this.log = [];
+    this.maxLogEntries = 200;
+  }
+
+  /**
+   * Initialize - load log từ storage
+   */
+  async initialize() {
+    const stored = await chrome.storage.local.get('discardLog');
+
+    if (stored.discardLog) {
+      this.log = stored.discardLog;
+    }
+
+    console.log('[TabDiscardEngine] Initialized:', {
+      logEntries: this.log.length
+    });
+
+    return this;
+  }
+
+  /**
+   * Evaluate a monitorRAM result and discard tabs if needed
+   */
+  async evaluate(result) {
+    const config = this.resourceControls.config;
+
+    if (!config.autoDiscard || !result || !result.success) {
+      return { triggered: false, discarded: [] };
+    }
+
+    const { memory, tabs } = result;
+    const overLimit = tabs.totalRAM > config.ramLimit;
+    const critical = memory.status === 'critical';
+
+    // Per-rule idleTimeout budgets apply even below ramLimit
+    const idleDiscarded = await this.enforceIdleBudgets(tabs);
+
+    if (!overLimit && !critical) {
+      if (idleDiscarded.length > 0) {
+        await this.save();
+      }
+      return { triggered: idleDiscarded.length > 0, discarded: idleDiscarded };
+    }
+
+    const trigger = overLimit ? 'ramLimit' : 'critical';
+    const reason = overLimit
+      ? `Tab RAM ${tabs.totalRAM} MB exceeds limit ${config.ramLimit} MB`
+      : `System RAM critical (${memory.usagePercent}%)`;
+
+    // Critical without limit breach: free as much as allowed per check
+    let excess = overLimit
+      ? tabs.totalRAM - config.ramLimit - idleDiscarded.reduce((sum, entry) => sum + entry.ram, 0)
+      : Infinity;
+    const discarded = [...idleDiscarded];
+
+    for (const tab of this.getCandidates(tabs.tabs)) {
+      if (discarded.length >= config.maxDiscardsPerCheck || excess <= 0) break;
+      if (discarded.some(entry => entry.tabId === tab.id)) continue;
+
+      const entry = await this.discardTab(tab, reason, trigger);
+      if (entry) {
+        discarded.push(entry);
+        excess -= tab.estimatedRAM;
+      }
+    }
+
+    if (discarded.length > 0) {
+      await this.save();
+    }
+
+    return { triggered: true, trigger, reason, discarded };
+  }
+
+  /**
+   * Discard tabs idle longer than their rule's idleTimeout budget
+   * Whitelist/pinned/audible vẫn được bảo vệ, tối đa maxDiscardsPerCheck
+   */
+  async enforceIdleBudgets(tabsInfo) {
+    const discarded = [];
+    const seen = new Set();
+    const { violations } = this.resourceControls.getBudgetViolations(tabsInfo);
+
+    for (const violation of violations) {
+      if (violation.type !== 'idleTimeout') continue;
+
+      for (const tabId of violation.tabIds) {
+        if (discarded.length >= this.resourceControls.config.maxDiscardsPerCheck) return discarded;
+        if (seen.has(tabId)) continue;
+        seen.add(tabId);
+
+        const tab = tabsInfo.tabs.find(t => t.id === tabId);
+        if (!tab || !this.isEligible(tab)) continue;
+
+        const reason = `Idle ${tab.inactiveMinutes} min exceeds ${violation.limit} min budget of ${violation.rule}`;
+        const entry = await this.discardTab(tab, reason, 'idleTimeout');
+        if (entry) discarded.push(entry);
+      }
+    }
+
+    return discarded;
+  }
+
+  /**
+   * Candidate tabs, ordered by sleep priority then inactivity
+   */
+  getCandidates(tabs) {
+    const minInactive = this.resourceControls.config.discardMinInactive * 60000;
+
+    return tabs
+      .filter(tab => this.isEligible(tab) && tab.inactiveTime >= minInactive)
+      .map(tab => ({ tab, priority: this.whitelistManager.getSleepPriority(tab.url, tab.title) }))
+      .sort((a, b) => (b.priority - a.priority) || (b.tab.inactiveTime - a.tab.inactiveTime))
+      .map(({ tab }) => tab);
+  }
+
+  /**
+   * Tab có được phép discard không
+   */
+  isEligible(tab) {
+    if (tab.isActive || tab.audible || tab.pinned || tab.discarded) return false;
+    if (this.resourceControls.isSystemPage(tab.url)) return false;
+    if (this.whitelistManager.isWhitelisted(tab.url, tab.title)) return false;
+    return true;
+  }
+
+  /**
+   * Discard một tab và ghi log
+   */
+  async discardTab(tab, reason, trigger) {
+    try {
+      // Re-check live state, the tab may have changed since the sample
+      const live = await chrome.tabs.get(tab.id);
+      if (live.active || live.audible || live.pinned || live.discarded) {
+        return null;
+      }
+
+      await chrome.tabs.discard(tab.id);
+
+      // Excluded domains are not recorded
+      const entry = {
+        timestamp: Date.now(),
+        tabId: tab.id,
+        title: tab.excluded ? '' : tab.title,
+        domain: tab.excluded ? 'excluded' : this.resourceControls.extractDomain(tab.url),
+        ram: tab.estimatedRAM,
+        ramSource: tab.ramSource,
+        priority: this.whitelistManager.getSleepPriority(tab.url, tab.title),
+        inactiveMinutes: tab.inactiveMinutes,
+        trigger,
+        reason
+      };
+
+      this.log.push(entry);
+      if (this.log.length > this.maxLogEntries) {
+        this.log.splice(0, this.log.length - this.maxLogEntries);
+      }
+
+      console.log('[TabDiscardEngine] Discarded tab:', entry);
+      this.eventBus?.emit('tab_discarded', entry);
+      return entry;
+    } catch (error) {
+      console.error('[TabDiscardEngine] Discard error:', tab.id, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get discard log (newest first)
+   */
+  getLog(limit = 50) {
+    return this.log.slice(-limit).reverse();
+  }
+
+  /**
+   * Xóa log entries của domains (tracking exclusion)
+   */
+  async purgeDomains(isExcluded) {
+    const before = this.log.length;
+    this.log = this.log.filter(entry => !isExcluded(entry.domain));
+
+    const removed = before - this.log.length;
+    if (removed > 0) await this.save();
+    return removed;
+  }
+
+  /**
+   * Clear log
+   */
+  async clearLog() {
+    this.log = [];
+    await this.save();
+  }
+
+  /**
+   * Lưu vào storage
+   */
+  async save() {
+    await chrome.storage.local.set({ discardLog: this.log });
+  }
+
+  /**
+   * Get statistics
+   */
+  getStats() {
+    const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
+    const recent = this.log.filter(e => e.timestamp >= dayAgo);
+
+    return {
+      totalDiscards: this.log.length,
+      discardsLast24h: recent.length,
+      ramFreedLast24h: recent.reduce((sum, e) => sum + e.ram, 0)
+    };
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TabDiscardEngine;
+}
@@ -0,0 +1,188 @@
+/**
+ * TabMemoryCollector - Real per-tab memory measurements
+ * Nhận số liệu từ content script (performance.memory, DOM nodes, iframes)
+ */
+
+class TabMemoryCollector {
+  constructor() {
+    this.measurements = new Map();
+    this.config = {
+      maxMeasurementAge: 5 * 60 * 1000,
+      requestTimeout: 1500
+    };
+
+    // Debounce timers
+    this.saveTimeout = null;
+  }
+
+  /**
+   * Initialize - restore measurements of the current browser session
+   */
+  async initialize() {
+    try {
+      const stored = await chrome.storage.session.get('tabMeasurements');
+
+      if (stored.tabMeasurements) {
+        for (const [tabId, measurement] of Object.entries(stored.tabMeasurements)) {
+          this.measurements.set(Number(tabId), measurement);
+        }
+      }
+
+      console.log('[TabMemoryCollector] Initialized:', {
+        measuredTabs: this.measurements.size
+      });
+    } catch (error) {
+      console.error('[TabMemoryCollector] Init error:', error);
+    }
+
+    return this;
+  }
+
+  /**
+   * Record a measurement reported by a content script
+   */
+  recordMeasurement(tabId, metrics) {
+    if (typeof tabId !== 'number' || !metrics) return null;
+
+    const ramMB = this.toRAM(metrics);
+    if (ramMB === null) return null;
+
+    const measurement = {
+      ramMB,
+      jsHeapMB: metrics.jsHeapBytes ? this.toMB(metrics.jsHeapBytes) : null,
+      domNodes: metrics.domNodes || 0,
+      iframes: metrics.iframes || 0,
+      method: metrics.method || 'unknown',
+      timestamp: Date.now()
+    };
+
+    this.measurements.set(tabId, measurement);
+    this.save();
+
+    return measurement;
+  }
+
+  /**
+   * Convert raw metrics to MB
+   */
+  toRAM(metrics) {
+    // measureUserAgentSpecificMemory already covers JS heap + DOM
+    if (metrics.method === 'measureUserAgentSpecificMemory' && metrics.totalBytes > 0) {
+      return this.toMB(metrics.totalBytes);
+    }
+
+    if (metrics.jsHeapBytes > 0) {
+      return this.toMB(metrics.jsHeapBytes);
+    }
+
+    return null;
+  }
+
+  /**
+   * Bytes to MB
+   */
+  toMB(bytes) {
+    return Math.round(bytes / (1024 * 1024));
+  }
+
+  /**
+   * Get fresh measurement for a tab (null if missing or stale)
+   */
+  getMeasurement(tabId) {
+    const measurement = this.measurements.get(tabId);
+    if (!measurement) return null;
+
+    if (Date.now() - measurement.timestamp > this.config.maxMeasurementAge) {
+      return null;
+    }
+
+    return measurement;
+  }
+
+  /**
+   * Ask content script in a tab for a new measurement
+   */
+  async requestMeasurement(tabId) {
+    try {
+      const response = await Promise.race([
+        chrome.tabs.sendMessage(tabId, { action: 'collectTabMemory' }),
+        new Promise(resolve => setTimeout(() => resolve(null), this.config.requestTimeout))
+      ]);
+
+      if (response && response.metrics) {
+        return this.recordMeasurement(tabId, response.metrics);
+      }
+    } catch (e) {
+      // No content script in this tab (system page, not yet injected)
+    }
+
+    return null;
+  }
+
+  /**
+   * Refresh stale measurements of all tabs
+   */
+  async refresh(tabs) {
+    const now = Date.now();
+    const halfAge = this.config.maxMeasurementAge / 2;
+
+    const stale = tabs.filter(tab => {
+      if (tab.discarded) return false;
+      const measurement = this.measurements.get(tab.id);
+      return !measurement || now - measurement.timestamp > halfAge;
+    });
+
+    await Promise.all(stale.map(tab => this.requestMeasurement(tab.id)));
+    return stale.length;
+  }
+
+  /**
+   * Remove tab from tracking
+   */
+  removeTab(tabId) {
+    if (this.measurements.delete(tabId)) {
+      this.save();
+    }
+  }
+
+  /**
+   * Save measurements (debounced)
+   */
+  save() {
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+    }
+
+    this.saveTimeout = setTimeout(async () => {
+      try {
+        await chrome.storage.session.set({
+          tabMeasurements: Object.fromEntries(this.measurements)
+        });
+      } catch (error) {
+        console.error('[TabMemoryCollector] Save error:', error);
+      }
+    }, 1000);
+  }
+
+  /**
+   * Get statistics
+   */
+  getStats() {
+    const now = Date.now();
+    let fresh = 0;
+
+    for (const measurement of this.measurements.values()) {
+      if (now - measurement.timestamp <= this.config.maxMeasurementAge) fresh++;
+    }
+
+    return {
+      measuredTabs: this.measurements.size,
+      freshMeasurements: fresh
+    };
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TabMemoryCollector;
+}
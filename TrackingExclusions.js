@@ -0,0 +1,163 @@
+/**
+ * TrackingExclusions - Domains không bao giờ được track
+ * Không lưu activity/metadata, không xuất hiện trong analytics và exports
+ * Một domain bao gồm cả subdomains
+ */
+
+class TrackingExclusions {
+  constructor(eventBus = null) {
+    this.eventBus = eventBus;
+    this.domains = new Set();
+  }
+
+  /**
+   * Initialize - load từ storage
+   */
+  async initialize() {
+    const stored = await chrome.storage.local.get('trackingExclusions');
+
+    if (stored.trackingExclusions) {
+      stored.trackingExclusions.forEach(domain => this.domains.add(domain));
+    }
+
+    console.log('[TrackingExclusions] Initialized:', {
+      domains: this.domains.size
+    });
+
+    return this;
+  }
+
+  /**
+   * Normalize domain/URL → punycode hostname (null nếu invalid)
+   */
+  normalize(domain) {
+    if (!domain || typeof domain !== 'string') return null;
+
+    const host = domain
+      .trim()
+      .toLowerCase()
+      .replace(/^[a-z][a-z0-9+.\-]*:\/\//, '')
+      .split(/[\/?#]/)[0]
+      .split(':')[0]
+      .replace(/\.+$/, '');
+
+    if (!host) return null;
+
+    try {
+      return new URL('http://' + host).hostname;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Thêm domain
+   */
+  async add(domain) {
+    const host = this.normalize(domain);
+    if (!host) {
+      throw new Error('Invalid domain: ' + domain);
+    }
+
+    this.domains.add(host);
+    await this.save();
+
+    console.log('[TrackingExclusions] Excluded:', host);
+    return host;
+  }
+
+  /**
+   * Xóa domain
+   */
+  async remove(domain) {
+    const host = this.normalize(domain);
+    const deleted = this.domains.delete(host);
+
+    if (deleted) {
+      await this.save();
+      console.log('[TrackingExclusions] Removed:', host);
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Hostname thuộc excluded domain (hoặc subdomain)
+   */
+  isExcludedDomain(hostname) {
+    if (!hostname || this.domains.size === 0) return false;
+
+    const host = hostname.toLowerCase().replace(/\.+$/, '');
+    for (const domain of this.domains) {
+      if (host === domain || host.endsWith('.' + domain)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * URL thuộc excluded domain
+   */
+  isExcluded(url) {
+    if (!url || this.domains.size === 0) return false;
+
+    try {
+      return this.isExcludedDomain(new URL(url).hostname);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * List excluded domains
+   */
+  getExclusions() {
+    return Array.from(this.domains).sort();
+  }
+
+  /**
+   * Validate imported list: array of valid domain strings
+   */
+  validateExclusions(domains) {
+    if (!Array.isArray(domains)) {
+      return { valid: false, error: 'must be an array' };
+    }
+
+    const invalid = domains.find(domain => !this.normalize(domain));
+    if (invalid !== undefined) {
+      return { valid: false, error: `contains invalid domain: ${JSON.stringify(invalid)}` };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Replace list (import)
+   */
+  async importExclusions(domains) {
+    const validation = this.validateExclusions(domains);
+    if (!validation.valid) {
+      throw new Error('Invalid exclusions: ' + validation.error);
+    }
+
+    this.domains = new Set(domains.map(domain => this.normalize(domain)).filter(Boolean));
+    await this.save();
+    return this.getExclusions();
+  }
+
+  /**
+   * Lưu vào storage
+   */
+  async save() {
+    await chrome.storage.local.set({ trackingExclusions: Array.from(this.domains) });
+
+    this.eventBus?.emit('rules_changed', {
+      source: 'tracking',
+      exclusions: this.domains.size
+    });
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TrackingExclusions;
+}
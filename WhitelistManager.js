@@ -1,16 +1,46 @@
 /**
- * WhitelistManager - Quản lý whitelist/blacklist domains
+ * WhitelistManager - Quản lý whitelist/blacklist rules
  * Pattern matching, wildcard support
+ *
+ * Rule syntax:
+ *   example.com, *.example.com            domain (hostname wildcard, *. = subdomains only)
+ *   site:example.com                      example.com + all subdomains
+ *   url:[scheme://]host[:port][/path][?query]   glob, "*" = any chars
+ *       url:docs.google.com/spreadsheets/*
+ *       url:https://*.example.com:8080/app/*?tab=*
+ *       url:jira.example.com/browse/* title:*URGENT*
+ *   title:*Jira*                          tab title glob
+ *   regex:^https://mail\.google\.com/    regex on full URL
+ *
+ * Hosts được so sánh ở dạng punycode (Unicode/punycode tương đương), bỏ trailing dot.
+ * site: không cho phép public suffix (co.uk, github.io...) - xem PublicSuffixList
+ *
+ * Temporary rules: expiresAt timestamp per rule, removed bằng chrome.alarms
+ * Budgets: { maxRAM (MB), idleTimeout (phút), maxTabs } per rule, độc lập với whitelist/blacklist
  */
 
 class WhitelistManager {
-  constructor() {
+  constructor(eventBus = null, expiryAlarm = 'ruleExpiry') {
+    this.eventBus = eventBus;
+    this.expiryAlarm = expiryAlarm;
+    this.publicSuffixList = new PublicSuffixList();
     this.whitelist = new Set();
     this.blacklist = new Set();
     this.patterns = {
       whitelist: [],
       blacklist: []
     };
+
+    // rule → expiresAt (ms)
+    this.expiry = {
+      whitelist: {},
+      blacklist: {}
+    };
+
+    // rule → { maxRAM, idleTimeout, maxTabs }
+    this.budgets = {};
+    this.budgetMatchers = [];
+    this.budgetFields = ['maxRAM', 'idleTimeout', 'maxTabs'];
   }
 
   /**
@@ -19,7 +49,9 @@ class WhitelistManager {
   async initialize() {
     const stored = await chrome.storage.local.get([
       'whitelist',
-      'blacklist'
+      'blacklist',
+      'ruleExpiry',
+      'ruleBudgets'
     ]);
 
     if (stored.whitelist) {
@@ -32,9 +64,23 @@ class WhitelistManager {
       this.compilePatterns('blacklist');
     }
 
+    if (stored.ruleExpiry) {
+      this.expiry = { whitelist: {}, blacklist: {}, ...stored.ruleExpiry };
+    }
+
+    if (stored.ruleBudgets) {
+      this.budgets = stored.ruleBudgets;
+      this.compileBudgets();
+    }
+
+    // Rules that expired while the browser was closed
+    await this.expireRules();
+
     console.log('[WhitelistManager] Initialized:', {
       whitelist: this.whitelist.size,
-      blacklist: this.blacklist.size
+      blacklist: this.blacklist.size,
+      temporary: this.getTemporaryRules().length,
+      budgets: this.budgetMatchers.length
     });
 
     return this;
@@ -47,45 +93,176 @@ class WhitelistManager {
     const list = type === 'whitelist' ? this.whitelist : this.blacklist;
     const patterns = [];
 
-    for (const domain of list) {
-      // Convert wildcard to regex
+    for (const rule of list) {
+      try {
+        patterns.push(this.compileRule(rule));
+      } catch (error) {
+        console.warn('[WhitelistManager] Skipping invalid rule:', rule, error.message);
+      }
+    }
+
+    this.patterns[type] = patterns;
+  }
+
+  /**
+   * Compile rule → matcher { rule, kind, test(parsed, url, title) }
+   */
+  compileRule(rule) {
+    const match = /^(url|title|regex|site):(.*)$/s.exec(rule);
+
+    if (!match) {
+      // Domain rule
       // *.example.com → ^.*\.example\.com$
       // example.* → ^example\..*$
-      const pattern = domain
-        .replace(/\./g, '\\.')
-        .replace(/\*/g, '.*');
-      
-      patterns.push(new RegExp('^' + pattern + '$', 'i'));
+      if (!/^[^\s\/?#:@]+$/.test(rule)) {
+        throw new Error('Invalid domain: ' + rule);
+      }
+      const host = this.globToRegex(this.toASCII(rule), 'i');
+      return { rule, kind: 'domain', test: (parsed) => !!parsed && host.test(this.hostOf(parsed)) };
     }
 
-    this.patterns[type] = patterns;
+    const [, kind, body] = match;
+    if (!body.trim()) {
+      throw new Error(`Empty ${kind}: rule`);
+    }
+
+    if (kind === 'site') {
+      const domain = this.normalizeDomain(body);
+      if (!/^[a-z0-9.\-_]+$/.test(domain) || domain.includes('..')) {
+        throw new Error('Invalid site domain: ' + body.trim());
+      }
+      if (this.publicSuffixList.isPublicSuffix(domain)) {
+        throw new Error(`"${domain}" is a public suffix - use a registrable domain`);
+      }
+      return {
+        rule,
+        kind,
+        test: (parsed) => {
+          if (!parsed) return false;
+          const host = this.hostOf(parsed);
+          return host === domain || host.endsWith('.' + domain);
+        }
+      };
+    }
+
+    if (kind === 'title') {
+      const title = this.globToRegex(body.trim(), 'i');
+      return { rule, kind, test: (parsed, url, tabTitle) => title.test(tabTitle || '') };
+    }
+
+    if (kind === 'regex') {
+      let regex;
+      try {
+        regex = new RegExp(body, 'i');
+      } catch (error) {
+        throw new Error('Invalid regex: ' + error.message);
+      }
+      return { rule, kind, test: (parsed, url) => regex.test(url) };
+    }
+
+    return { rule, kind, test: this.compileUrlPattern(body.trim()) };
   }
 
   /**
-   * Thêm domain vào whitelist
+   * url: pattern → test function
    */
-  async addToWhitelist(domain) {
-    domain = this.normalizeDomain(domain);
+  compileUrlPattern(pattern) {
+    const [urlPart, titlePart] = pattern.split(/\s+title:/);
+    const match = /^(?:([a-z*][a-z0-9+.\-*]*):\/\/)?([^\/?:\s]+)(?::(\d{1,5}|\*))?(\/[^?\s]*)?(?:\?(\S*))?$/i.exec(urlPart);
+
+    if (!match) {
+      throw new Error('Invalid url pattern: ' + urlPart);
+    }
+
+    const [, scheme, host, port, path, query] = match;
+    const schemeRegex = scheme ? this.globToRegex(scheme, 'i') : /^https?$/;
+    const hostRegex = this.globToRegex(this.toASCII(host), 'i');
+    const pathRegex = path ? this.globToRegex(path) : null;
+    const queryRegex = query !== undefined ? this.globToRegex(query) : null;
+    const titleRegex = titlePart !== undefined ? this.globToRegex(titlePart.trim(), 'i') : null;
+    const defaultPorts = { 'http:': '80', 'https:': '443' };
+
+    return (parsed, url, title) => {
+      if (!parsed) return false;
+      if (!schemeRegex.test(parsed.protocol.slice(0, -1))) return false;
+      if (!hostRegex.test(this.hostOf(parsed))) return false;
+      if (port && port !== '*' && port !== (parsed.port || defaultPorts[parsed.protocol])) return false;
+      if (pathRegex && !pathRegex.test(parsed.pathname)) return false;
+      if (queryRegex && !queryRegex.test(parsed.search.slice(1))) return false;
+      if (titleRegex && !titleRegex.test(title || '')) return false;
+      return true;
+    };
+  }
+
+  /**
+   * Glob ("*" = any chars) → anchored regex
+   */
+  globToRegex(glob, flags = '') {
+    const pattern = glob
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+
+    return new RegExp('^' + pattern + '$', flags);
+  }
+
+  /**
+   * Validate rule
+   */
+  validateRule(rule) {
+    const normalized = this.normalizeRule(rule);
+    if (!normalized) {
+      return { valid: false, error: 'Rule is empty' };
+    }
+
+    try {
+      const { kind } = this.compileRule(normalized);
+      return { valid: true, rule: normalized, kind };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
+  /**
+   * Thêm rule vào whitelist
+   * @param {Object} options - { expiresAt, duration } (ms) cho temporary rule
+   */
+  async addToWhitelist(domain, options = {}) {
+    domain = this.normalizeRule(domain);
     if (!domain) return false;
 
+    const validation = this.validateRule(domain);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    this.setExpiry('whitelist', domain, options);
     this.whitelist.add(domain);
     this.compilePatterns('whitelist');
     await this.save();
+    await this.scheduleExpiry();
+
+    const conflicts = this.detectConflicts(domain, 'whitelist');
+    if (conflicts.length > 0) {
+      console.warn('[WhitelistManager] Rule conflicts:', conflicts.map(c => c.message));
+    }
 
     console.log('[WhitelistManager] Added to whitelist:', domain);
-    return true;
+    return { rule: domain, expiresAt: this.expiry.whitelist[domain] || null, conflicts };
   }
 
   /**
-   * Xóa domain khỏi whitelist
+   * Xóa rule khỏi whitelist
    */
   async removeFromWhitelist(domain) {
-    domain = this.normalizeDomain(domain);
+    domain = this.normalizeRule(domain);
     const deleted = this.whitelist.delete(domain);
     
     if (deleted) {
+      delete this.expiry.whitelist[domain];
       this.compilePatterns('whitelist');
       await this.save();
+      await this.scheduleExpiry();
       console.log('[WhitelistManager] Removed from whitelist:', domain);
     }
     
@@ -93,30 +270,81 @@ class WhitelistManager {
   }
 
   /**
-   * Thêm domain vào blacklist
+   * Thêm rule vào blacklist
+   * @param {Object} options - { expiresAt, duration } (ms) cho temporary rule
    */
-  async addToBlacklist(domain) {
-    domain = this.normalizeDomain(domain);
+  async addToBlacklist(domain, options = {}) {
+    domain = this.normalizeRule(domain);
     if (!domain) return false;
 
+    const validation = this.validateRule(domain);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    this.setExpiry('blacklist', domain, options);
     this.blacklist.add(domain);
     this.compilePatterns('blacklist');
     await this.save();
+    await this.scheduleExpiry();
+
+    const conflicts = this.detectConflicts(domain, 'blacklist');
+    if (conflicts.length > 0) {
+      console.warn('[WhitelistManager] Rule conflicts:', conflicts.map(c => c.message));
+    }
 
     console.log('[WhitelistManager] Added to blacklist:', domain);
-    return true;
+    return { rule: domain, expiresAt: this.expiry.blacklist[domain] || null, conflicts };
+  }
+
+  /**
+   * Bulk add (một lần save) - entries: [{ rule, list, expiresAt }]
+   */
+  async addRules(entries) {
+    let added = 0;
+
+    for (const { rule, list, expiresAt } of entries) {
+      const validation = this.validateRule(rule);
+      if (!validation.valid) continue;
+
+      const type = list === 'blacklist' ? 'blacklist' : 'whitelist';
+      const target = type === 'blacklist' ? this.blacklist : this.whitelist;
+      if (target.has(validation.rule)) continue;
+
+      // Expired since preview → skip
+      try {
+        this.setExpiry(type, validation.rule, { expiresAt });
+      } catch (error) {
+        continue;
+      }
+
+      target.add(validation.rule);
+      added++;
+    }
+
+    if (added > 0) {
+      this.compilePatterns('whitelist');
+      this.compilePatterns('blacklist');
+      await this.save();
+      await this.scheduleExpiry();
+    }
+
+    console.log('[WhitelistManager] Bulk added rules:', added);
+    return added;
   }
 
   /**
-   * Xóa domain khỏi blacklist
+   * Xóa rule khỏi blacklist
    */
   async removeFromBlacklist(domain) {
-    domain = this.normalizeDomain(domain);
+    domain = this.normalizeRule(domain);
     const deleted = this.blacklist.delete(domain);
     
     if (deleted) {
+      delete this.expiry.blacklist[domain];
       this.compilePatterns('blacklist');
       await this.save();
+      await this.scheduleExpiry();
       console.log('[WhitelistManager] Removed from blacklist:', domain);
     }
     
@@ -124,52 +352,463 @@ class WhitelistManager {
   }
 
   /**
-   * Check nếu domain nằm trong whitelist
+   * Set/clear expiry - re-adding without expiry makes the rule permanent,
+   * một permanent rule đã có thì giữ nguyên permanent (không bị expire mất)
+   */
+  setExpiry(type, rule, { expiresAt, duration } = {}) {
+    const timestamp = expiresAt || (duration ? Date.now() + duration : null);
+
+    if (timestamp && timestamp <= Date.now()) {
+      throw new Error('Expiry must be in the future');
+    }
+
+    if (timestamp && this[type].has(rule) && this.expiry[type][rule] === undefined) {
+      console.log(`[WhitelistManager] ${rule} is already a permanent ${type} rule, expiry ignored`);
+      return;
+    }
+
+    if (timestamp) {
+      this.expiry[type][rule] = timestamp;
+    } else {
+      delete this.expiry[type][rule];
+    }
+  }
+
+  /**
+   * Rule đã hết hạn (alarm chưa kịp chạy)
+   */
+  isExpired(type, rule) {
+    const expiresAt = this.expiry[type][rule];
+    return expiresAt !== undefined && expiresAt <= Date.now();
+  }
+
+  /**
+   * Xóa expired rules, schedule alarm cho rule kế tiếp
    */
-  isWhitelisted(url) {
+  async expireRules() {
+    const now = Date.now();
+    const expired = [];
+
+    for (const type of ['whitelist', 'blacklist']) {
+      const list = type === 'whitelist' ? this.whitelist : this.blacklist;
+
+      for (const [rule, expiresAt] of Object.entries(this.expiry[type])) {
+        if (expiresAt > now) continue;
+
+        list.delete(rule);
+        delete this.expiry[type][rule];
+        expired.push({ list: type, rule });
+      }
+
+      if (expired.some(entry => entry.list === type)) {
+        this.compilePatterns(type);
+      }
+    }
+
+    if (expired.length > 0) {
+      await this.save();
+      console.log('[WhitelistManager] Expired rules:', expired.map(entry => entry.rule));
+    }
+
+    await this.scheduleExpiry();
+    return expired;
+  }
+
+  /**
+   * One alarm at the nearest expiry (cleared when no temporary rules)
+   */
+  async scheduleExpiry() {
+    const next = Math.min(...this.getTemporaryRules().map(entry => entry.expiresAt));
+
+    if (!Number.isFinite(next)) {
+      await chrome.alarms.clear(this.expiryAlarm);
+      return;
+    }
+
+    await chrome.alarms.create(this.expiryAlarm, { when: next });
+  }
+
+  /**
+   * Temporary rules (soonest first)
+   */
+  getTemporaryRules() {
+    const now = Date.now();
+
+    return ['whitelist', 'blacklist']
+      .flatMap(type => Object.entries(this.expiry[type])
+        .map(([rule, expiresAt]) => ({ list: type, rule, expiresAt, remaining: Math.max(0, expiresAt - now) })))
+      .sort((a, b) => a.expiresAt - b.expiresAt);
+  }
+
+  /**
+   * Check nếu tab (url + title) match whitelist
+   */
+  isWhitelisted(url, title = '') {
+    return this.matches('whitelist', url, title);
+  }
+
+  /**
+   * Check nếu tab (url + title) match blacklist
+   */
+  isBlacklisted(url, title = '') {
+    return this.matches('blacklist', url, title);
+  }
+
+  /**
+   * Match url/title against a list
+   */
+  matches(type, url, title = '') {
+    const list = type === 'whitelist' ? this.whitelist : this.blacklist;
+    const parsed = this.parseURL(url);
+
+    // Exact domain match
+    const host = parsed ? this.hostOf(parsed) : null;
+    if (host && list.has(host) && !this.isExpired(type, host)) return true;
+
+    // Pattern match
+    return this.patterns[type].some(matcher =>
+      !this.isExpired(type, matcher.rule) && matcher.test(parsed, url || '', title));
+  }
+
+  /**
+   * Set budget cho rule (maxRAM MB, idleTimeout phút, maxTabs)
+   */
+  async setBudget(rule, budget = {}) {
+    const validation = this.validateRule(rule);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const entry = this.validateBudget(budget);
+
+    this.budgets[validation.rule] = entry;
+    this.compileBudgets();
+    await this.save();
+
+    console.log('[WhitelistManager] Budget set:', validation.rule, entry);
+    return { rule: validation.rule, ...entry };
+  }
+
+  /**
+   * Validate budget fields → normalized entry (throws nếu invalid)
+   */
+  validateBudget(budget) {
+    if (!budget || typeof budget !== 'object') {
+      throw new Error('Budget must be an object');
+    }
+
+    const entry = {};
+    for (const field of this.budgetFields) {
+      const value = budget[field];
+      if (value === undefined || value === null) continue;
+
+      if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+        throw new Error(`${field} must be a positive number`);
+      }
+      entry[field] = field === 'maxTabs' ? Math.floor(value) : value;
+    }
+
+    if (Object.keys(entry).length === 0) {
+      throw new Error('Budget needs maxRAM, idleTimeout or maxTabs');
+    }
+
+    return entry;
+  }
+
+  /**
+   * Xóa budget của rule
+   */
+  async removeBudget(rule) {
+    rule = this.normalizeRule(rule);
+    if (!rule || !this.budgets[rule]) return false;
+
+    delete this.budgets[rule];
+    this.compileBudgets();
+    await this.save();
+
+    console.log('[WhitelistManager] Budget removed:', rule);
+    return true;
+  }
+
+  /**
+   * Compile budget rules
+   */
+  compileBudgets() {
+    this.budgetMatchers = [];
+
+    for (const [rule, budget] of Object.entries(this.budgets)) {
+      try {
+        this.budgetMatchers.push({ ...this.compileRule(rule), budget });
+      } catch (error) {
+        console.warn('[WhitelistManager] Skipping invalid budget rule:', rule, error.message);
+      }
+    }
+  }
+
+  /**
+   * Budget rules match url/title
+   */
+  getBudgetMatches(url, title = '') {
+    const parsed = this.parseURL(url);
+
+    return this.budgetMatchers
+      .filter(matcher => matcher.test(parsed, url || '', title))
+      .map(({ rule, kind, budget }) => ({ rule, kind, budget }));
+  }
+
+  /**
+   * List budgets
+   */
+  getBudgets() {
+    return this.budgetMatchers.map(({ rule, kind, budget }) => ({ rule, kind, ...budget }));
+  }
+
+  /**
+   * Parse URL (null nếu invalid - title:/regex: rules may still match)
+   */
+  parseURL(url) {
     try {
-      const domain = new URL(url).hostname;
-      
-      // Exact match
-      if (this.whitelist.has(domain)) return true;
-      
-      // Pattern match
-      return this.patterns.whitelist.some(pattern => pattern.test(domain));
-      
+      return new URL(url);
     } catch (e) {
-      return false;
+      return null;
     }
   }
 
   /**
-   * Check nếu domain nằm trong blacklist
+   * Hostname để so sánh (punycode, không có trailing dot)
    */
-  isBlacklisted(url) {
+  hostOf(parsed) {
+    return parsed.hostname.replace(/\.+$/, '');
+  }
+
+  /**
+   * Unicode host → punycode (wildcards giữ nguyên)
+   */
+  toASCII(host) {
+    if (/^[\x00-\x7f]*$/.test(host)) return host.toLowerCase();
+
     try {
-      const domain = new URL(url).hostname;
-      
-      // Exact match
-      if (this.blacklist.has(domain)) return true;
-      
-      // Pattern match
-      return this.patterns.blacklist.some(pattern => pattern.test(domain));
-      
+      return new URL('http://' + host).hostname;
     } catch (e) {
-      return false;
+      return host.toLowerCase();
     }
   }
 
+  /**
+   * Registrable domain (eTLD+1) của URL
+   */
+  getRegistrableDomain(url) {
+    const parsed = this.parseURL(url);
+    return parsed ? this.publicSuffixList.getRegistrableDomain(this.hostOf(parsed)) : null;
+  }
+
+  /**
+   * Tất cả rules match url/title, cả hai lists (list order)
+   */
+  findMatches(url, title = '') {
+    const parsed = this.parseURL(url);
+    const matches = [];
+
+    for (const list of ['whitelist', 'blacklist']) {
+      for (const matcher of this.patterns[list]) {
+        if (!this.isExpired(list, matcher.rule) && matcher.test(parsed, url || '', title)) {
+          matches.push({ list, rule: matcher.rule, kind: matcher.kind, expiresAt: this.expiry[list][matcher.rule] || null });
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Giải thích vì sao url/title match: winning rule, all matches, precedence
+   */
+  explainMatch(url, title = '') {
+    const matches = this.findMatches(url, title);
+    const whitelisted = matches.filter(match => match.list === 'whitelist');
+    const blacklisted = matches.filter(match => match.list === 'blacklist');
+    const winner = whitelisted[0] || blacklisted[0] || null;
+    const quote = (list) => list.map(match => `"${match.rule}"`).join(', ');
+
+    const reasons = [];
+    if (!winner) {
+      reasons.push('No rule matches - normal sleep rules apply');
+    } else if (winner.list === 'whitelist') {
+      reasons.push(`Whitelisted by "${winner.rule}" - never sleeps`);
+      if (blacklisted.length > 0) {
+        reasons.push(`Whitelist takes precedence over blacklist ${quote(blacklisted)}`);
+      }
+    } else {
+      reasons.push(`Blacklisted by "${winner.rule}" - sleeps first`);
+    }
+
+    const sameList = (winner?.list === 'whitelist' ? whitelisted : blacklisted).slice(1);
+    if (sameList.length > 0) {
+      reasons.push(`Also matched by ${winner.list} ${quote(sameList)} (first rule wins, same effect)`);
+    }
+
+    return {
+      url,
+      title,
+      registrableDomain: this.getRegistrableDomain(url),
+      winner,
+      matches,
+      priority: winner ? (winner.list === 'whitelist' ? 0 : 2) : 1,
+      canSleep: winner ? winner.list === 'blacklist' : null,
+      reason: reasons.join('. ')
+    };
+  }
+
+  /**
+   * Sample URL/title mà rule match (null cho regex:)
+   */
+  sampleFor(rule) {
+    const fill = (glob) => glob.replace(/\*/g, 'x');
+    const match = /^(url|title|regex|site):(.*)$/s.exec(rule);
+    let url;
+    let title = '';
+
+    if (!match) {
+      url = `https://${fill(rule)}/`;
+    } else if (match[1] === 'site') {
+      url = `https://${match[2]}/`;
+    } else if (match[1] === 'title') {
+      url = 'about:blank';
+      title = fill(match[2]);
+    } else if (match[1] === 'url') {
+      const [urlPart, titlePart] = match[2].split(/\s+title:/);
+      url = fill(urlPart.replace(/^\*:\/\//, 'https://').replace(/:\*(?=[\/?]|$)/, ''));
+      if (!/^[a-z][a-z0-9+.\-]*:\/\//i.test(url)) url = 'https://' + url;
+      title = titlePart !== undefined ? fill(titlePart.trim()) : '';
+    } else {
+      return null;
+    }
+
+    return { parsed: this.parseURL(url), url, title };
+  }
+
+  /**
+   * Compare 2 rules → conflict | null
+   * Heuristic: A covers B khi A match sample URL/title của B
+   */
+  compareRules(a, b) {
+    if (a.rule === b.rule) {
+      return a.list === b.list ? null : {
+        type: 'both_lists',
+        rule: a.rule,
+        list: 'blacklist',
+        other: a.rule,
+        otherList: 'whitelist',
+        message: `"${a.rule}" is in both lists - whitelist wins`
+      };
+    }
+
+    const covers = (x, y) => !!y.sample && x.matcher.test(y.sample.parsed, y.sample.url, y.sample.title);
+    const aCoversB = covers(a, b);
+    const bCoversA = covers(b, a);
+
+    if (!aCoversB && !bCoversA) return null;
+
+    const conflict = (type, rule, other, message) => ({
+      type, rule: rule.rule, list: rule.list, other: other.rule, otherList: other.list, message
+    });
+
+    if (a.list === b.list) {
+      const [shadowed, by] = aCoversB ? [b, a] : [a, b];
+      return conflict('shadowed', shadowed, by,
+        `${shadowed.list} rule "${shadowed.rule}" is redundant - already covered by "${by.rule}"`);
+    }
+
+    const [white, black] = a.list === 'whitelist' ? [a, b] : [b, a];
+    if (covers(white, black)) {
+      return conflict('shadowed', black, white,
+        `blacklist rule "${black.rule}" never applies - whitelist rule "${white.rule}" covers it`);
+    }
+
+    return conflict('overlap', black, white,
+      `blacklist rule "${black.rule}" overlaps whitelist rule "${white.rule}" - whitelist wins where both match`);
+  }
+
+  /**
+   * Rule entries cho conflict check
+   */
+  ruleEntries() {
+    const entries = [];
+
+    for (const list of ['whitelist', 'blacklist']) {
+      for (const matcher of this.patterns[list]) {
+        entries.push({ list, rule: matcher.rule, matcher, sample: this.sampleFor(matcher.rule) });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Conflicts của một rule với các rules khác
+   */
+  detectConflicts(rule, type) {
+    const entries = this.ruleEntries();
+    const entry = entries.find(e => e.list === type && e.rule === rule);
+    if (!entry) return [];
+
+    return entries
+      .filter(other => other !== entry)
+      .map(other => this.compareRules(entry, other))
+      .filter(Boolean);
+  }
+
+  /**
+   * Conflicts của candidate rules (chưa add) với rules hiện có và với nhau
+   * @param {Array} candidates - [{ rule, list }] normalized, valid
+   */
+  previewConflicts(candidates) {
+    const existing = this.ruleEntries();
+    const added = [];
+    const conflicts = [];
+
+    for (const { rule, list } of candidates) {
+      const entry = { list, rule, matcher: this.compileRule(rule), sample: this.sampleFor(rule) };
+
+      for (const other of [...existing, ...added]) {
+        const conflict = this.compareRules(entry, other);
+        if (conflict) conflicts.push(conflict);
+      }
+
+      added.push(entry);
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Tất cả conflicts (overlapping, shadowed, both lists)
+   */
+  getConflicts() {
+    const entries = this.ruleEntries();
+    const conflicts = [];
+
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        const conflict = this.compareRules(entries[i], entries[j]);
+        if (conflict) conflicts.push(conflict);
+      }
+    }
+
+    return conflicts;
+  }
+
   /**
    * Kiểm tra xem tab có được phép ngủ không
    */
-  canSleep(url) {
+  canSleep(url, title = '') {
     // Whitelist có priority cao nhất
-    if (this.isWhitelisted(url)) {
+    if (this.isWhitelisted(url, title)) {
       return false; // Không bao giờ ngủ
     }
 
     // Blacklist → luôn ngủ nhanh
-    if (this.isBlacklisted(url)) {
+    if (this.isBlacklisted(url, title)) {
       return true;
     }
 
@@ -183,12 +822,33 @@ class WhitelistManager {
    * 1 = normal
    * 2 = priority sleep (blacklist)
    */
-  getSleepPriority(url) {
-    if (this.isWhitelisted(url)) return 0;
-    if (this.isBlacklisted(url)) return 2;
+  getSleepPriority(url, title = '') {
+    if (this.isWhitelisted(url, title)) return 0;
+    if (this.isBlacklisted(url, title)) return 2;
     return 1;
   }
 
+  /**
+   * Normalize rule - prefixed rules giữ nguyên, bare domains như cũ
+   */
+  normalizeRule(rule) {
+    if (!rule || typeof rule !== 'string') return null;
+
+    const match = /^\s*(url|title|regex|site):(.*)$/is.exec(rule);
+    if (!match) {
+      return this.normalizeDomain(rule);
+    }
+
+    const kind = match[1].toLowerCase();
+    if (kind === 'site') {
+      const domain = this.normalizeDomain(match[2]);
+      return domain ? `site:${domain}` : null;
+    }
+
+    const body = kind === 'regex' ? match[2] : match[2].trim();
+    return body ? `${kind}:${body}` : null;
+  }
+
   /**
    * Normalize domain
    */
@@ -206,7 +866,10 @@ class WhitelistManager {
     // Remove port
     domain = domain.split(':')[0];
     
-    return domain;
+    // Trailing dot (FQDN), Unicode → punycode
+    domain = domain.replace(/\.+$/, '');
+    
+    return domain ? this.toASCII(domain) : null;
   }
 
   /**
@@ -214,21 +877,74 @@ class WhitelistManager {
    */
   async importRules(data) {
     try {
+      // Invalid rules are skipped
+      const valid = (rules) => rules
+        .map(rule => this.validateRule(rule))
+        .filter(result => result.valid)
+        .map(result => result.rule);
+
+      // Temporary rules keep their expiry if it is still in the future
+      // (exportRules() → expiry map, getLists() backups cũ → temporary array)
+      const expiryMap = (type) => data.expiry?.[type] || Object.fromEntries(
+        (data.temporary || [])
+          .filter(entry => entry.list === type)
+          .map(entry => [entry.rule, entry.expiresAt]));
+
+      const expiry = (type, list) => Object.fromEntries(
+        Object.entries(expiryMap(type))
+          .filter(([rule, expiresAt]) => list.has(rule) && expiresAt > Date.now()));
+
       if (data.whitelist) {
         this.whitelist.clear();
-        data.whitelist.forEach(d => this.whitelist.add(d));
+        valid(data.whitelist).forEach(d => this.whitelist.add(d));
+        this.expiry.whitelist = expiry('whitelist', this.whitelist);
         this.compilePatterns('whitelist');
       }
 
       if (data.blacklist) {
         this.blacklist.clear();
-        data.blacklist.forEach(d => this.blacklist.add(d));
+        valid(data.blacklist).forEach(d => this.blacklist.add(d));
+        this.expiry.blacklist = expiry('blacklist', this.blacklist);
         this.compilePatterns('blacklist');
       }
 
+      // Invalid budgets are skipped (same checks as setBudget)
+      // { rule: budget } map (exportRules) hoặc [{ rule, kind, ...budget }] (getLists)
+      if (data.budgets) {
+        const entries = Array.isArray(data.budgets)
+          ? data.budgets.map(({ rule, kind, ...budget }) => [rule, budget])
+          : Object.entries(data.budgets);
+
+        this.budgets = {};
+        for (const [rule, budget] of entries) {
+          // Key phải là chính rule (không phải array index như '0')
+          if (typeof rule !== 'string' || (budget?.rule !== undefined && budget.rule !== rule)) {
+            console.warn('[WhitelistManager] Skipping budget without a valid rule:', rule);
+            continue;
+          }
+
+          const validation = this.validateRule(rule);
+          if (!validation.valid) continue;
+
+          try {
+            this.budgets[validation.rule] = this.validateBudget(budget);
+          } catch (error) {
+            console.warn('[WhitelistManager] Skipping invalid budget:', rule, error.message);
+          }
+        }
+        this.compileBudgets();
+      }
+
       await this.save();
+      await this.scheduleExpiry();
+
+      const conflicts = this.getConflicts();
+      if (conflicts.length > 0) {
+        console.warn('[WhitelistManager] Rule conflicts after import:', conflicts.map(c => c.message));
+      }
+
       console.log('[WhitelistManager] Imported rules');
-      return true;
+      return { whitelist: this.whitelist.size, blacklist: this.blacklist.size, conflicts };
       
     } catch (error) {
       console.error('[WhitelistManager] Import failed:', error);
@@ -243,6 +959,8 @@ class WhitelistManager {
     return {
       whitelist: Array.from(this.whitelist),
       blacklist: Array.from(this.blacklist),
+      expiry: this.expiry,
+      budgets: this.budgets,
       exportDate: new Date().toISOString(),
       version: '2.0.0'
     };
@@ -255,7 +973,11 @@ class WhitelistManager {
     this.whitelist.clear();
     this.blacklist.clear();
     this.patterns = { whitelist: [], blacklist: [] };
+    this.expiry = { whitelist: {}, blacklist: {} };
+    this.budgets = {};
+    this.budgetMatchers = [];
     await this.save();
+    await this.scheduleExpiry();
     console.log('[WhitelistManager] Cleared all rules');
   }
 
@@ -266,7 +988,10 @@ class WhitelistManager {
     return {
       whitelistCount: this.whitelist.size,
       blacklistCount: this.blacklist.size,
-      totalRules: this.whitelist.size + this.blacklist.size
+      totalRules: this.whitelist.size + this.blacklist.size,
+      temporaryRules: this.getTemporaryRules().length,
+      budgets: this.budgetMatchers.length,
+      conflicts: this.getConflicts().length
     };
   }
 
@@ -276,7 +1001,15 @@ class WhitelistManager {
   async save() {
     await chrome.storage.local.set({
       whitelist: Array.from(this.whitelist),
-      blacklist: Array.from(this.blacklist)
+      blacklist: Array.from(this.blacklist),
+      ruleExpiry: this.expiry,
+      ruleBudgets: this.budgets
+    });
+
+    this.eventBus?.emit('rules_changed', {
+      source: 'whitelist',
+      whitelist: this.whitelist.size,
+      blacklist: this.blacklist.size
     });
   }
 
@@ -286,7 +1019,9 @@ class WhitelistManager {
   getLists() {
     return {
       whitelist: Array.from(this.whitelist).sort(),
-      blacklist: Array.from(this.blacklist).sort()
+      blacklist: Array.from(this.blacklist).sort(),
+      temporary: this.getTemporaryRules(),
+      budgets: this.getBudgets()
     };
   }
 }
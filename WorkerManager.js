@@ -5,13 +5,17 @@
  */
 
 class WorkerManager {
-  constructor() {
+  /**
+   * @param {TabCategorizer} categorizer - shared instance (resourceControls.categorizer)
+   */
+  constructor(categorizer = null) {
     this.workers = new Map();
     this.workerPool = [];
     this.maxWorkers = 2; // Giảm xuống 2 workers cho ổn định
     this.taskQueue = [];
     this.isProcessing = false;
     this.nextTaskId = 1;
+    this.categorizer = categorizer || new TabCategorizer();
   }
 
   /**
@@ -20,6 +24,8 @@ class WorkerManager {
   async initialize() {
     console.log(`[WorkerManager] Initializing with ${this.maxWorkers} workers...`);
     
+    await this.categorizer.initialize();
+    
     // Note: Workers sẽ được tạo on-demand trong Service Worker
     // Vì không thể dùng Blob URLs
     
@@ -110,39 +116,10 @@ class WorkerManager {
   }
 
   /**
-   * Categorize tab
+   * Categorize tab (shared rules với ResourceControls)
    */
   categorizeTab(url, title) {
-    const hostname = url.hostname.toLowerCase();
-    const path = url.pathname.toLowerCase();
-    const fullText = (hostname + path + (title || '')).toLowerCase();
-    
-    // Social Media
-    if (/facebook|twitter|instagram|linkedin|reddit|tiktok/.test(hostname)) {
-      return 'social';
-    }
-    
-    // Video/Entertainment
-    if (/youtube|netflix|twitch|vimeo|dailymotion/.test(hostname)) {
-      return 'video';
-    }
-    
-    // News
-    if (/news|bbc|cnn|reuters|nytimes|guardian/.test(hostname)) {
-      return 'news';
-    }
-    
-    // Work/Productivity
-    if (/docs\.google|notion|slack|trello|asana|jira|github/.test(hostname)) {
-      return 'work';
-    }
-    
-    // Shopping
-    if (/amazon|ebay|shop|store|cart|buy/.test(fullText)) {
-      return 'shopping';
-    }
-    
-    return 'other';
+    return this.categorizer.categorize(url.href, title);
   }
 
   /**
@@ -224,7 +201,8 @@ class WorkerManager {
       // Category-based adjustment
       const category = this.categorizeTab(url, tab.title);
       switch (category) {
-        case 'work':
+        case 'productivity':
+        case 'development':
           multiplier *= 1.8;
           break;
         case 'social':
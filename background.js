@@ -3,73 +3,209 @@
  * RAM Monitoring + API Manager + Whitelist + Privacy
  */
 
+importScripts('EventBus.js');
+importScripts('TabMemoryCollector.js');
+importScripts('MemoryHistory.js');
+importScripts('TabCategorizer.js');
+importScripts('LeakDetector.js');
+importScripts('MemoryForecaster.js');
+importScripts('DuplicateDetector.js');
+importScripts('TrackingExclusions.js');
 importScripts('ResourceControls.js');
+importScripts('PublicSuffixList.js');
 importScripts('WhitelistManager.js');
+importScripts('TabDiscardEngine.js');
 importScripts('PrivacyManager.js');
 importScripts('APIManager.js');
+importScripts('BadgeController.js');
+importScripts('ScheduleManager.js');
+importScripts('MonitorScheduler.js');
+importScripts('PopupChannel.js');
+importScripts('CommandRegistry.js');
+importScripts('SessionManager.js');
+importScripts('RuleImporter.js');
 
 // Global instances
+let eventBus = null;
 let resourceControls = null;
 let whitelistManager = null;
+let discardEngine = null;
 let privacyManager = null;
 let apiManager = null;
+let badgeController = new BadgeController();
+let scheduleManager = null;
+let monitorScheduler = null;
+let popupChannel = null;
+let sessionManager = null;
+let ruleImporter = null;
 
 let monitoringAlarm = 'ramMonitor';
-let keepAliveInterval = null;
+let scheduleAlarm = 'scheduleCheck';
+let ruleExpiryAlarm = 'ruleExpiry';
+let readyPromise = null;
 
-// Service Worker Keep-Alive
-function setupKeepAlive() {
-  keepAliveInterval = setInterval(() => {
-    chrome.runtime.getPlatformInfo(() => {
-      // Ping to keep alive
+// Readiness gate - mọi entry point await trước khi dùng managers.
+// Worker có thể bị terminate bất kỳ lúc nào; state được restore từ storage khi wake up.
+function whenReady() {
+  if (!readyPromise) {
+    readyPromise = initializeManagers().catch((error) => {
+      console.error('[Background] Initialization failed:', error);
+      readyPromise = null;
+      throw error;
     });
-  }, 20000);
+  }
+  return readyPromise;
+}
+
+// Event listener wrapper: chờ ready, không để lại unhandled rejections
+// (initialization failure đã được log trong whenReady)
+function whenReadyThen(handler) {
+  return async (...args) => {
+    try {
+      await whenReady();
+    } catch (error) {
+      return;
+    }
+
+    try {
+      await handler(...args);
+    } catch (error) {
+      console.error('[Background] Event handler error:', error);
+    }
+  };
 }
 
 // Initialize extension
-chrome.runtime.onInstalled.addListener(async (details) => {
+chrome.runtime.onInstalled.addListener(whenReadyThen(async (details) => {
   console.log('[Background] Extension v3.0 initializing...');
   
-  await initializeManagers();
-  
   // Setup context menus
   setupContextMenus();
   
-  // Setup RAM monitoring alarm
-  chrome.alarms.create(monitoringAlarm, { 
-    periodInMinutes: 1,
-    delayInMinutes: 0
-  });
-  
   console.log('[Background] Initialization complete');
   
   if (details.reason === 'install') {
     console.log('[Background] Welcome! Extension installed successfully.');
+    await badgeController.showNewInstall();
   }
-});
+}));
 
 // Initialize all managers
 async function initializeManagers() {
-  resourceControls = new ResourceControls();
+  eventBus = new EventBus();
+  await eventBus.initialize();
+
+  resourceControls = new ResourceControls(eventBus);
   await resourceControls.initialize();
   
-  whitelistManager = new WhitelistManager();
+  whitelistManager = new WhitelistManager(eventBus, ruleExpiryAlarm);
   await whitelistManager.initialize();
+  resourceControls.setWhitelistManager(whitelistManager);
+  
+  discardEngine = new TabDiscardEngine(resourceControls, whitelistManager, eventBus);
+  await discardEngine.initialize();
   
   privacyManager = new PrivacyManager();
   await privacyManager.initialize();
   
   apiManager = new APIManager();
   await apiManager.initialize();
+  apiManager.subscribeToEvents(eventBus);
+
+  subscribeBadge();
+  
+  sessionManager = new SessionManager(resourceControls);
+  await sessionManager.initialize();
+
+  ruleImporter = new RuleImporter(whitelistManager, sessionManager);
+
+  scheduleManager = new ScheduleManager(validateScheduleConfig);
+  await scheduleManager.initialize();
+  await applySchedule();
+
+  // Initial badge
+  const memory = await resourceControls.getMemoryInfo();
+  await badgeController.showMemory(memory);
+
+  // Setup adaptive RAM monitoring alarm
+  monitorScheduler = new MonitorScheduler(resourceControls, monitoringAlarm);
+  await monitorScheduler.initialize();
+  await monitorScheduler.reschedule(memory?.status || 'optimal');
+
+  popupChannel = new PopupChannel(resourceControls, discardEngine, eventBus);
+  await popupChannel.initialize();
+}
+
+// Schedule profile: settingsSchema types/ranges + thresholds merged over user config
+function validateScheduleConfig(config) {
+  const errors = commandRegistry.validate(settingsSchema, config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid schedule config: ${errors[0].field} ${errors[0].message}`);
+  }
+
+  resourceControls.validateThresholds({ ...resourceControls.getUserConfig(), ...config });
 }
 
-// Startup initialization
-(async () => {
-  if (!resourceControls) {
-    await initializeManagers();
-    setupKeepAlive();
+// Switch config profile when the active schedule changes
+async function applySchedule() {
+  const schedule = scheduleManager.getActiveSchedule();
+  const current = resourceControls.activeSchedule;
+  const nextChange = scheduleManager.getNextChange();
+
+  if ((schedule?.id || null) !== (current?.id || null) ||
+      (schedule?.updatedAt || null) !== (current?.updatedAt || null)) {
+    try {
+      await resourceControls.updateConfig(
+        schedule ? { ...schedule.config } : {},
+        { schedule: schedule ? { ...schedule, until: nextChange?.at } : null }
+      );
+    } catch (error) {
+      console.error('[Background] Schedule error:', schedule?.name, error);
+    }
+  }
+
+  await armScheduleAlarm(nextChange);
+}
+
+// One alarm at the next schedule change, none without enabled schedules
+async function armScheduleAlarm(nextChange) {
+  if (!nextChange) {
+    await chrome.alarms.clear(scheduleAlarm);
+    return;
   }
-})();
+
+  await chrome.alarms.create(scheduleAlarm, { when: nextChange.at });
+}
+
+// Badge reacts to memory events
+function subscribeBadge() {
+  eventBus.on('status_changed', async (event) => {
+    const { to, memory } = event.payload;
+    await badgeController.showMemory(memory);
+
+    // Log if critical
+    if (to === 'critical') {
+      console.warn('[Background] CRITICAL RAM:', memory.usagePercent + '%');
+    }
+  });
+
+  // Early warning: forecast ETA dưới forecastHorizon
+  eventBus.on('forecast_warning', async (event) => {
+    const { active, forecast } = event.payload;
+    await badgeController.showForecast(active ? forecast : null);
+
+    if (active) {
+      console.warn('[Background] RAM forecast:', `~${Math.ceil(forecast.etaMinutes)} min to ${forecast.threshold}%`);
+    }
+  });
+
+  eventBus.on('tab_discarded', async () => {
+    await badgeController.flash('Zz', badgeController.colors.inactive);
+  });
+}
+
+// Startup initialization (every worker start)
+whenReady().catch(() => {});
 
 // Setup context menus
 function setupContextMenus() {
@@ -86,6 +222,33 @@ function setupContextMenus() {
       contexts: ['page']
     });
 
+    chrome.contextMenus.create({
+      id: 'protect',
+      title: 'Protect This Domain',
+      contexts: ['page']
+    });
+
+    chrome.contextMenus.create({
+      id: 'protect-1h',
+      parentId: 'protect',
+      title: 'For 1 Hour',
+      contexts: ['page']
+    });
+
+    chrome.contextMenus.create({
+      id: 'protect-4h',
+      parentId: 'protect',
+      title: 'For 4 Hours',
+      contexts: ['page']
+    });
+
+    chrome.contextMenus.create({
+      id: 'protect-tomorrow',
+      parentId: 'protect',
+      title: 'Until Tomorrow',
+      contexts: ['page']
+    });
+
     chrome.contextMenus.create({
       id: 'separator1',
       type: 'separator',
@@ -103,6 +266,8 @@ function setupContextMenus() {
 // Context menu handler
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   try {
+    await whenReady();
+
     const url = tab.url;
     const domain = new URL(url).hostname;
 
@@ -110,182 +275,800 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
       case 'check-ram':
         const ramInfo = await resourceControls.getMemoryInfo();
         console.log('[Background] RAM Usage:', ramInfo);
+        await badgeController.showMemory(ramInfo);
+        await badgeController.flash('RAM', badgeController.colors.primary);
         break;
 
       case 'never-track':
-        await whitelistManager.addToWhitelist(domain);
-        console.log('[Background] Added to whitelist:', domain);
+        await excludeFromTracking(domain);
+        await badgeController.flash('Off', badgeController.colors.success);
         break;
 
+      case 'protect-1h':
+      case 'protect-4h':
+      case 'protect-tomorrow': {
+        const result = await whitelistManager.addToWhitelist(domain, { expiresAt: protectUntil(info.menuItemId) });
+        console.log('[Background] Protected', result.expiresAt
+          ? `until ${new Date(result.expiresAt).toLocaleString()}`
+          : 'permanently (existing rule)', domain);
+        await badgeController.flash('Safe', badgeController.colors.success);
+        break;
+      }
+
       case 'view-stats':
         const stats = await resourceControls.getStats();
         console.log('[Background] Stats:', stats);
+        await badgeController.flash('OK', badgeController.colors.success);
         break;
     }
   } catch (error) {
     console.error('[Background] Context menu error:', error);
+    await badgeController.flash('ERR', badgeController.colors.error);
   }
 });
 
-// Message handler
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  handleMessage(request, sender, sendResponse);
-  return true;
-});
+// Stop tracking a domain: exclusion list + purge records đã lưu (tabs, discard log, events)
+async function excludeFromTracking(domain) {
+  const result = await resourceControls.excludeDomain(domain);
+  const exclusions = resourceControls.trackingExclusions;
 
-async function handleMessage(request, sender, sendResponse) {
-  try {
-    switch (request.action) {
-      // Resource Controls
-      case 'updateSettings':
+  result.purgedDiscards = await discardEngine.purgeDomains(host => exclusions.isExcludedDomain(host));
+  result.purgedEvents = eventBus.purge(({ payload }) =>
+    exclusions.isExcludedDomain(payload?.domain) || exclusions.isExcluded(payload?.url));
+
+  console.log('[Background] Excluded from tracking:', result);
+  return result;
+}
+
+// Expiry cho "Protect This Domain" menu items
+function protectUntil(menuItemId) {
+  switch (menuItemId) {
+    case 'protect-1h':
+      return Date.now() + 3600000;
+    case 'protect-4h':
+      return Date.now() + 4 * 3600000;
+    default: {
+      // Local midnight
+      const tomorrow = new Date();
+      tomorrow.setHours(24, 0, 0, 0);
+      return tomorrow.getTime();
+    }
+  }
+}
+
+// Message API (schema-validated commands)
+const commandRegistry = new CommandRegistry();
+
+const settingsSchema = {
+  ramLimit: { type: 'number', min: 0 },
+  checkInterval: { type: 'number', min: 0 },
+  updateInterval: { type: 'number', min: 0 },
+  maxCacheAge: { type: 'number', min: 0 },
+  optimalThreshold: { type: 'number', min: 1, max: 99 },
+  warningThreshold: { type: 'number', min: 1, max: 99 },
+  emergencyThreshold: { type: 'number', min: 1, max: 99 },
+  hysteresisBand: { type: 'number', min: 0, max: 10 },
+  leakSlopeThreshold: { type: 'number', min: 0 },
+  leakMinDuration: { type: 'number', min: 0 },
+  leakMinSamples: { type: 'integer', min: 2 },
+  forecastWindow: { type: 'number', min: 0 },
+  forecastHorizon: { type: 'number', min: 0 },
+  forecastMinConfidence: { type: 'number', min: 0, max: 1 },
+  autoDiscard: { type: 'boolean' },
+  maxDiscardsPerCheck: { type: 'integer', min: 1 },
+  discardMinInactive: { type: 'number', min: 0 }
+};
+
+// domain: bare domain or site:/url:/title:/regex: rule (WhitelistManager syntax)
+const ruleSchema = {
+  domain: { type: 'string', required: true, minLength: 1, maxLength: 2048 }
+};
+
+// Temporary rule: duration (ms) hoặc expiresAt (timestamp)
+const addRuleSchema = {
+  ...ruleSchema,
+  duration: { type: 'number', min: 60000 },
+  expiresAt: { type: 'number', min: 0 }
+};
+
+// Suspender / Auto Tab Discard / OneTab / TXT / CSV export text
+const importSchema = {
+  text: { type: 'string', required: true, minLength: 1, maxLength: 5000000 },
+  format: {
+    type: 'string',
+    enum: ['auto', 'native', 'suspender-whitelist', 'suspender-session', 'auto-tab-discard', 'onetab', 'text', 'csv']
+  },
+  list: { type: 'string', enum: ['whitelist', 'blacklist'] }
+};
+
+function registerCommands() {
+  const commands = {
+    // Resource Controls
+    updateSettings: {
+      module: 'ResourceControls',
+      description: 'Update user config',
+      schema: {
+        settings: { type: 'object', required: true, properties: settingsSchema, additionalProperties: false }
+      },
+      handler: async (request) => {
         await resourceControls.updateConfig(request.settings);
-        sendResponse({ success: true });
-        break;
+      }
+    },
 
-      case 'getStats':
-        const stats = await resourceControls.getStats();
+    getStats: {
+      module: 'ResourceControls',
+      description: 'Memory, tabs, performance, whitelist/privacy/discard stats',
+      handler: async () => {
+        const stats = await getTrackedStats();
         const whitelistStats = whitelistManager.getStats();
         const privacyStatus = privacyManager.getStatus();
-        sendResponse({ 
-          success: true, 
-          data: { ...stats, whitelistStats, privacyStatus }
-        });
-        break;
+        const discardStats = discardEngine.getStats();
+        const sessionStats = sessionManager.getStats();
+        return { ...stats, whitelistStats, privacyStatus, discardStats, sessionStats };
+      }
+    },
 
-      case 'getRAMAnalysis':
-        const analysis = await resourceControls.getRAMAnalysis();
-        sendResponse({ success: true, data: analysis });
-        break;
+    excludeFromTracking: {
+      module: 'TrackingExclusions',
+      description: 'Stop tracking a domain (and subdomains), purge stored records',
+      schema: {
+        domain: { type: 'string', required: true, minLength: 1, maxLength: 253 }
+      },
+      handler: (request) => excludeFromTracking(request.domain)
+    },
+
+    removeTrackingExclusion: {
+      module: 'TrackingExclusions',
+      description: 'Track a previously excluded domain again',
+      schema: {
+        domain: { type: 'string', required: true, minLength: 1, maxLength: 253 }
+      },
+      handler: (request) => resourceControls.trackingExclusions.remove(request.domain)
+    },
+
+    getTrackingExclusions: {
+      module: 'TrackingExclusions',
+      description: 'Domains excluded from tracking',
+      handler: () => resourceControls.trackingExclusions.getExclusions()
+    },
 
-      case 'monitorRAM':
+    getRAMAnalysis: {
+      module: 'ResourceControls',
+      description: 'Top consumers, windows/groups, leaks, forecast, recommendations',
+      handler: () => resourceControls.getRAMAnalysis()
+    },
+
+    monitorRAM: {
+      module: 'ResourceControls',
+      description: 'Run a RAM check now',
+      handler: async () => {
         const result = await resourceControls.monitorRAM();
-        sendResponse({ success: true, data: result });
-        break;
+        if (result.success) {
+          await badgeController.showMemory(result.memory);
+          await popupChannel.publish(result);
+        }
+        return result;
+      }
+    },
+
+    getMemoryHistory: {
+      module: 'MemoryHistory',
+      description: 'Usage history for a time range',
+      schema: {
+        from: { type: 'number', min: 0 },
+        to: { type: 'number', min: 0 },
+        tier: { type: 'string', enum: ['raw', 'minute', 'hour', 'day'] }
+      },
+      handler: (request) => resourceControls.history.query({
+        from: request.from,
+        to: request.to,
+        tier: request.tier
+      })
+    },
+
+    mergeDuplicates: {
+      module: 'DuplicateDetector',
+      description: 'Close duplicate tabs, keeping the most recently active copy',
+      schema: {
+        normalizedUrl: { type: 'string' }
+      },
+      handler: (request) => resourceControls.mergeDuplicates(request.normalizedUrl)
+    },
+
+    getForecast: {
+      module: 'MemoryForecaster',
+      description: 'Time until usage crosses emergencyThreshold',
+      handler: () => resourceControls.getForecast()
+    },
 
-      case 'resetStats':
+    resetStats: {
+      module: 'ResourceControls',
+      description: 'Reset performance statistics',
+      handler: async () => {
         await resourceControls.resetStats();
-        sendResponse({ success: true });
-        break;
+        popupChannel.schedulePublish();
+      }
+    },
 
-      // Whitelist management
-      case 'addToWhitelist':
-        await whitelistManager.addToWhitelist(request.domain);
-        sendResponse({ success: true });
-        break;
+    reloadTab: {
+      module: 'LeakDetector',
+      description: 'Reload a tab and reset its growth curve',
+      schema: {
+        tabId: { type: 'integer', required: true, min: 0 }
+      },
+      handler: async (request) => {
+        await chrome.tabs.reload(request.tabId);
+        resourceControls.leakDetector.reset(request.tabId);
+      }
+    },
+
+    // Sessions
+    createSession: {
+      module: 'SessionManager',
+      description: 'Snapshot a window or tab group, optionally closing its tabs',
+      schema: {
+        windowId: { type: 'integer' },
+        groupId: { type: 'integer', min: 0 },
+        name: { type: 'string', maxLength: 100 },
+        close: { type: 'boolean' }
+      },
+      handler: (request) => sessionManager.snapshot({
+        windowId: request.windowId,
+        groupId: request.groupId,
+        name: request.name,
+        close: request.close === true
+      })
+    },
+
+    getSessions: {
+      module: 'SessionManager',
+      description: 'List saved sessions (without tabs)',
+      handler: () => sessionManager.getSessions()
+    },
+
+    getSession: {
+      module: 'SessionManager',
+      description: 'Session with its tabs',
+      schema: {
+        id: { type: 'string', required: true }
+      },
+      handler: (request) => sessionManager.getSession(request.id)
+    },
+
+    renameSession: {
+      module: 'SessionManager',
+      description: 'Rename a session',
+      schema: {
+        id: { type: 'string', required: true },
+        name: { type: 'string', required: true, minLength: 1, maxLength: 100 }
+      },
+      handler: (request) => sessionManager.rename(request.id, request.name)
+    },
+
+    restoreSession: {
+      module: 'SessionManager',
+      description: 'Reopen session tabs (new window by default)',
+      schema: {
+        id: { type: 'string', required: true },
+        newWindow: { type: 'boolean' }
+      },
+      handler: (request) => sessionManager.restore(request.id, { newWindow: request.newWindow !== false })
+    },
 
-      case 'removeFromWhitelist':
+    removeSession: {
+      module: 'SessionManager',
+      description: 'Delete a session',
+      schema: {
+        id: { type: 'string', required: true }
+      },
+      handler: (request) => sessionManager.remove(request.id)
+    },
+
+    exportSession: {
+      module: 'SessionManager',
+      description: 'Session as JSON',
+      schema: {
+        id: { type: 'string', required: true }
+      },
+      handler: (request) => sessionManager.export(request.id)
+    },
+
+    // Import from other extensions
+    previewImport: {
+      module: 'RuleImporter',
+      description: 'Preview rules/sessions to add, skip or conflict (no changes)',
+      schema: importSchema,
+      handler: (request) => ruleImporter.preview(request.text, {
+        format: request.format,
+        list: request.list
+      })
+    },
+
+    applyImport: {
+      module: 'RuleImporter',
+      description: 'Import rules/sessions from another extension',
+      schema: importSchema,
+      handler: (request) => ruleImporter.apply(request.text, {
+        format: request.format,
+        list: request.list
+      })
+    },
+
+    // Events
+    getEvents: {
+      module: 'EventBus',
+      description: 'Replay the last N events',
+      schema: {
+        limit: { type: 'integer', min: 1, max: 100 },
+        types: { type: 'array', items: { type: 'string' } }
+      },
+      handler: (request) => eventBus.replay(request.limit, request.types)
+    },
+
+    getDiscardLog: {
+      module: 'TabDiscardEngine',
+      description: 'Recent discard actions (newest first)',
+      schema: {
+        limit: { type: 'integer', min: 1, max: 200 }
+      },
+      handler: (request) => discardEngine.getLog(request.limit)
+    },
+
+    // Category rules
+    getCategoryRules: {
+      module: 'TabCategorizer',
+      description: 'User and built-in category rules',
+      handler: () => resourceControls.categorizer.getRules()
+    },
+
+    addCategoryRule: {
+      module: 'TabCategorizer',
+      description: 'Add a user category rule',
+      schema: {
+        rule: {
+          type: 'object',
+          required: true,
+          properties: {
+            category: { type: 'string', required: true, maxLength: 32 },
+            hostname: { type: 'string', maxLength: 500 },
+            path: { type: 'string', maxLength: 500 },
+            title: { type: 'string', maxLength: 500 }
+          },
+          additionalProperties: false
+        }
+      },
+      handler: async (request) => {
+        const rule = await resourceControls.categorizer.addRule(request.rule);
+        await resourceControls.recategorizeTabs();
+        return rule;
+      }
+    },
+
+    removeCategoryRule: {
+      module: 'TabCategorizer',
+      description: 'Remove a user category rule',
+      schema: {
+        id: { type: 'string', required: true }
+      },
+      handler: async (request) => {
+        const removed = await resourceControls.categorizer.removeRule(request.id);
+        await resourceControls.recategorizeTabs();
+        return removed;
+      }
+    },
+
+    // Schedules
+    getSchedules: {
+      module: 'ScheduleManager',
+      description: 'Schedules, active profile and next change',
+      handler: () => ({
+        schedules: scheduleManager.getSchedules(),
+        active: resourceControls.activeSchedule,
+        nextChange: scheduleManager.getNextChange()
+      })
+    },
+
+    saveSchedule: {
+      module: 'ScheduleManager',
+      description: 'Add or update a schedule',
+      schema: {
+        schedule: {
+          type: 'object',
+          required: true,
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string', required: true, maxLength: 100 },
+            days: { type: 'array', required: true, items: { type: 'integer', min: 0, max: 6 } },
+            start: { type: 'string', required: true },
+            end: { type: 'string', required: true },
+            config: { type: 'object', required: true },
+            enabled: { type: 'boolean' }
+          },
+          additionalProperties: false
+        }
+      },
+      handler: async (request) => {
+        const saved = await scheduleManager.saveSchedule(request.schedule);
+        await applySchedule();
+        return saved;
+      }
+    },
+
+    removeSchedule: {
+      module: 'ScheduleManager',
+      description: 'Remove a schedule',
+      schema: {
+        id: { type: 'string', required: true }
+      },
+      handler: async (request) => {
+        const removed = await scheduleManager.removeSchedule(request.id);
+        await applySchedule();
+        return removed;
+      }
+    },
+
+    // Tab memory measurements (from content script)
+    reportTabMemory: {
+      module: 'TabMemoryCollector',
+      permission: 'content',
+      description: 'Report page memory metrics',
+      schema: {
+        metrics: { type: 'object', required: true }
+      },
+      handler: (request, sender) => {
+        // Excluded domains: nothing stored
+        if (resourceControls.trackingExclusions.isExcluded(sender.tab.url)) return null;
+        return resourceControls.memoryCollector.recordMeasurement(sender.tab.id, request.metrics);
+      }
+    },
+
+    // Whitelist management
+    addToWhitelist: {
+      module: 'WhitelistManager',
+      description: 'Add rule to whitelist (optionally temporary)',
+      schema: addRuleSchema,
+      handler: (request) => whitelistManager.addToWhitelist(request.domain, {
+        duration: request.duration,
+        expiresAt: request.expiresAt
+      })
+    },
+
+    removeFromWhitelist: {
+      module: 'WhitelistManager',
+      description: 'Remove rule from whitelist',
+      schema: ruleSchema,
+      handler: async (request) => {
         await whitelistManager.removeFromWhitelist(request.domain);
-        sendResponse({ success: true });
-        break;
+      }
+    },
 
-      case 'addToBlacklist':
-        await whitelistManager.addToBlacklist(request.domain);
-        sendResponse({ success: true });
-        break;
+    addToBlacklist: {
+      module: 'WhitelistManager',
+      description: 'Add rule to blacklist (optionally temporary)',
+      schema: addRuleSchema,
+      handler: (request) => whitelistManager.addToBlacklist(request.domain, {
+        duration: request.duration,
+        expiresAt: request.expiresAt
+      })
+    },
 
-      case 'removeFromBlacklist':
+    removeFromBlacklist: {
+      module: 'WhitelistManager',
+      description: 'Remove rule from blacklist',
+      schema: ruleSchema,
+      handler: async (request) => {
         await whitelistManager.removeFromBlacklist(request.domain);
-        sendResponse({ success: true });
-        break;
+      }
+    },
 
-      case 'getLists':
-        const lists = whitelistManager.getLists();
-        sendResponse({ success: true, data: lists });
-        break;
+    getLists: {
+      module: 'WhitelistManager',
+      description: 'Whitelist and blacklist',
+      handler: () => whitelistManager.getLists()
+    },
+
+    validateRule: {
+      module: 'WhitelistManager',
+      description: 'Check whitelist/blacklist rule syntax',
+      schema: ruleSchema,
+      handler: (request) => whitelistManager.validateRule(request.domain)
+    },
 
-      // Privacy management
-      case 'setPrivacyMode':
+    explainMatch: {
+      module: 'WhitelistManager',
+      description: 'Winning rule, all matching rules and precedence for a URL or tab',
+      schema: {
+        url: { type: 'string', maxLength: 2048 },
+        title: { type: 'string' },
+        tabId: { type: 'integer' }
+      },
+      handler: async (request) => {
+        if (request.tabId !== undefined) {
+          const tab = await chrome.tabs.get(request.tabId);
+          return whitelistManager.explainMatch(tab.url, tab.title);
+        }
+        if (!request.url) {
+          throw new Error('url or tabId is required');
+        }
+        return whitelistManager.explainMatch(request.url, request.title);
+      }
+    },
+
+    setRuleBudget: {
+      module: 'WhitelistManager',
+      description: 'Per-rule budget: maxRAM (MB), idleTimeout (minutes), maxTabs',
+      schema: {
+        ...ruleSchema,
+        maxRAM: { type: 'number', min: 1 },
+        idleTimeout: { type: 'number', min: 1 },
+        maxTabs: { type: 'integer', min: 1 }
+      },
+      handler: (request) => whitelistManager.setBudget(request.domain, {
+        maxRAM: request.maxRAM,
+        idleTimeout: request.idleTimeout,
+        maxTabs: request.maxTabs
+      })
+    },
+
+    removeRuleBudget: {
+      module: 'WhitelistManager',
+      description: 'Remove per-rule budget',
+      schema: ruleSchema,
+      handler: (request) => whitelistManager.removeBudget(request.domain)
+    },
+
+    getRuleBudgets: {
+      module: 'WhitelistManager',
+      description: 'Per-rule budgets',
+      handler: () => whitelistManager.getBudgets()
+    },
+
+    getBudgetViolations: {
+      module: 'ResourceControls',
+      description: 'Per-rule budget violations for open tabs',
+      handler: async () => resourceControls.getBudgetViolations(await resourceControls.getTabsInfo())
+    },
+
+    getRuleConflicts: {
+      module: 'WhitelistManager',
+      description: 'Overlapping, shadowed and duplicated whitelist/blacklist rules',
+      handler: () => whitelistManager.getConflicts()
+    },
+
+    // Privacy management
+    setPrivacyMode: {
+      module: 'PrivacyManager',
+      description: 'Enable/disable privacy mode',
+      schema: {
+        enabled: { type: 'boolean', required: true }
+      },
+      handler: async (request) => {
         await privacyManager.setPrivacyMode(request.enabled);
-        sendResponse({ success: true });
-        break;
+      }
+    },
 
-      case 'exportData':
-        const exportData = await exportAllData();
-        sendResponse({ success: true, data: exportData });
-        break;
+    exportData: {
+      module: 'PrivacyManager',
+      description: 'Export config, schedules, rules and stats',
+      handler: () => exportAllData()
+    },
 
-      case 'importData':
-        await importAllData(request.data);
-        sendResponse({ success: true });
-        break;
+    importData: {
+      module: 'PrivacyManager',
+      description: 'Import data from exportData',
+      schema: {
+        data: { type: 'string', required: true, minLength: 1 }
+      },
+      handler: async (request) => {
+        try {
+          await importAllData(request.data);
+        } catch (error) {
+          await badgeController.flash('ERR', badgeController.colors.error);
+          throw error;
+        }
+        await badgeController.flash('OK', badgeController.colors.success);
+      }
+    },
 
-      // API management
-      case 'generateApiKey':
-        const apiKey = await apiManager.generateApiKey(request.name, request.permissions);
-        sendResponse({ success: true, data: apiKey });
-        break;
+    // API management
+    generateApiKey: {
+      module: 'APIManager',
+      description: 'Create an API key for external extensions',
+      schema: {
+        name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+        permissions: { type: 'array', items: { type: 'string' } }
+      },
+      handler: (request) => apiManager.generateApiKey(request.name, request.permissions)
+    },
 
-      case 'revokeApiKey':
-        const revoked = await apiManager.revokeApiKey(request.key);
-        sendResponse({ success: true, data: revoked });
-        break;
+    revokeApiKey: {
+      module: 'APIManager',
+      description: 'Revoke an API key',
+      schema: {
+        key: { type: 'string', required: true }
+      },
+      handler: (request) => apiManager.revokeApiKey(request.key)
+    },
 
-      case 'getApiKeys':
-        const keys = apiManager.getApiKeys();
-        sendResponse({ success: true, data: keys });
-        break;
+    getApiKeys: {
+      module: 'APIManager',
+      description: 'List API keys',
+      handler: () => apiManager.getApiKeys()
+    },
 
-      case 'setApiEnabled':
-        const enabled = await apiManager.setApiEnabled(request.enabled);
-        sendResponse({ success: true, data: enabled });
-        break;
+    setApiEnabled: {
+      module: 'APIManager',
+      description: 'Enable/disable external API',
+      schema: {
+        enabled: { type: 'boolean', required: true }
+      },
+      handler: (request) => apiManager.setApiEnabled(request.enabled)
+    },
 
-      case 'getDocumentation':
-        const docs = apiManager.getDocumentation();
-        sendResponse({ success: true, data: docs });
-        break;
+    getDocumentation: {
+      module: 'APIManager',
+      description: 'External API documentation',
+      handler: () => apiManager.getDocumentation()
+    },
 
-      default:
-        sendResponse({ success: false, error: 'Unknown action' });
+    // Introspection
+    listCommands: {
+      module: 'CommandRegistry',
+      description: 'List commands with schema, permission and version',
+      handler: () => ({
+        commands: commandRegistry.list(),
+        errorCodes: Object.values(commandRegistry.errorCodes)
+      })
     }
-  } catch (error) {
-    console.error('[Background] Message handler error:', error);
-    sendResponse({ success: false, error: error.message });
+  };
+
+  for (const [name, definition] of Object.entries(commands)) {
+    commandRegistry.register(name, definition);
+  }
+}
+
+registerCommands();
+
+// Message handler
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  whenReady()
+    .then(() => handleMessage(request, sender))
+    .then(sendResponse)
+    .catch((error) => sendResponse(commandRegistry.failure('NOT_READY', error.message)));
+  return true;
+});
+
+async function handleMessage(request, sender) {
+  const response = await commandRegistry.execute(request, sender);
+
+  if (!response.success && response.code !== commandRegistry.errorCodes.HANDLER_ERROR) {
+    console.warn('[Background] Rejected request:', request?.action, response.code, response.error);
   }
+
+  return response;
 }
 
 // RAM monitoring alarm
-chrome.alarms.onAlarm.addListener(async (alarm) => {
+chrome.alarms.onAlarm.addListener(whenReadyThen(async (alarm) => {
+  if (alarm.name === scheduleAlarm) {
+    await applySchedule();
+  }
+
   if (alarm.name === monitoringAlarm) {
-    try {
-      const result = await resourceControls.monitorRAM();
-      if (result.success) {
-        const { memory } = result;
-        
-        // Log if critical
-        if (memory.status === 'critical') {
-          console.warn('[Background] CRITICAL RAM:', memory.usagePercent + '%');
-        }
+    await runMonitorCheck({ enforce: true });
+  }
+
+  if (alarm.name === ruleExpiryAlarm) {
+    await whitelistManager.expireRules();
+  }
+}));
+
+// One monitoring pass (alarm or popup burst)
+// Burst passes only refresh the live snapshot: no history/leak samples, no enforcement
+async function runMonitorCheck({ enforce, record = true }) {
+  try {
+    const result = await resourceControls.monitorRAM({ record });
+    if (result.success) {
+      const { memory } = result;
+      
+      await badgeController.showMemory(memory);
+
+      // Enforce ramLimit (alarm checks only)
+      if (enforce) {
+        await discardEngine.evaluate(result);
       }
-    } catch (error) {
-      console.error('[Background] Monitoring error:', error);
+
+      // Sample faster under pressure
+      await monitorScheduler.reschedule(memory.status);
+
+      // Push changes to open popups
+      await popupChannel.publish(result);
     }
+    return result;
+  } catch (error) {
+    console.error('[Background] Monitoring error:', error);
+    return { success: false, reason: 'Error: ' + error.message };
   }
+}
+
+// Popup connection → live updates + burst mode while open
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'popup') return;
+
+  let connected = true;
+  let bursting = false;
+
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    if (bursting) monitorScheduler.stopBurst();
+  });
+
+  whenReady().then(() => {
+    // Popup closed before the worker was ready
+    if (!connected) return;
+
+    popupChannel.subscribe(port);
+    monitorScheduler.startBurst(() => runMonitorCheck({ enforce: false, record: false }));
+    bursting = true;
+  }).catch(() => {
+    // Logged by whenReady; popup falls back to request/response
+  });
 });
 
 // Tab events
-chrome.tabs.onActivated.addListener(async (activeInfo) => {
-  resourceControls.updateTabActivity(activeInfo.tabId);
+chrome.tabs.onCreated.addListener(whenReadyThen((tab) => {
+  const url = tab.pendingUrl || tab.url || '';
+  eventBus.emit('tab_created', {
+    tabId: tab.id,
+    windowId: tab.windowId,
+    openerTabId: tab.openerTabId ?? null,
+    url: resourceControls.trackingExclusions.isExcluded(url) ? '' : url
+  });
+}));
+
+chrome.tabs.onActivated.addListener(whenReadyThen(async (activeInfo) => {
+  // URL needed to skip excluded domains
+  const tab = await chrome.tabs.get(activeInfo.tabId).catch(() => null);
+  resourceControls.updateTabActivity(activeInfo.tabId, tab);
+}));
+
+const onTabUpdated = whenReadyThen((tabId, changeInfo, tab) => {
+  resourceControls.updateTabActivity(tabId, tab);
+  popupChannel.schedulePublish();
 });
 
-chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   if (changeInfo.status === 'complete' || changeInfo.audible === true) {
-    resourceControls.updateTabActivity(tabId);
+    onTabUpdated(tabId, changeInfo, tab);
   }
 });
 
-chrome.tabs.onRemoved.addListener((tabId) => {
-  resourceControls.removeTab(tabId);
+// Tab may be closed mid-move
+const onTabMoved = whenReadyThen(async (tabId) => {
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  if (!tab) return;
+  resourceControls.updateTabLocation(tab);
 });
 
+chrome.tabs.onMoved.addListener(onTabMoved);
+chrome.tabs.onAttached.addListener(onTabMoved);
+
+chrome.tabs.onRemoved.addListener(whenReadyThen((tabId) => {
+  resourceControls.removeTab(tabId);
+  popupChannel.schedulePublish();
+}));
+
 // Export all data
 async function exportAllData() {
   const data = {
     version: '3.0.0',
     timestamp: Date.now(),
-    config: resourceControls.config,
-    stats: await resourceControls.getStats(),
-    whitelist: whitelistManager.getLists(),
+    config: resourceControls.getUserConfig(),
+    schedules: scheduleManager.getSchedules(),
+    stats: await getTrackedStats(),
+    whitelist: whitelistManager.exportRules(),
+    trackingExclusions: resourceControls.trackingExclusions.getExclusions(),
+    categoryRules: resourceControls.categorizer.userRules,
     privacy: privacyManager.getStatus()
   };
 
@@ -296,6 +1079,14 @@ async function exportAllData() {
   return JSON.stringify(data);
 }
 
+// Stats without tabs of excluded domains (list and totals) - exports, API, webhooks
+async function getTrackedStats() {
+  const stats = await resourceControls.getStats();
+  const tracked = stats.tabs.tabs.filter(tab => !tab.excluded);
+
+  return { ...stats, tabs: resourceControls.summarizeTabs(tracked) };
+}
+
 // Import all data
 async function importAllData(dataStr) {
   let data;
@@ -306,25 +1097,52 @@ async function importAllData(dataStr) {
     data = JSON.parse(dataStr);
   }
 
-  // Import config
-  await resourceControls.updateConfig(data.config);
+  // Validate trước khi apply bất cứ thứ gì
+  if (data.config) {
+    const errors = commandRegistry.validate(settingsSchema, data.config);
+    if (errors.length > 0) {
+      throw new Error(`Invalid backup: ${errors[0].field} ${errors[0].message}`);
+    }
+  }
+
+  if (data.trackingExclusions) {
+    const validation = resourceControls.trackingExclusions.validateExclusions(data.trackingExclusions);
+    if (!validation.valid) {
+      throw new Error(`Invalid backup: trackingExclusions ${validation.error}`);
+    }
+  }
+
+  // Import config (same schema as updateSettings)
+  if (data.config) {
+    await resourceControls.updateConfig(data.config);
+  }
 
   // Import whitelist
   if (data.whitelist) {
     await whitelistManager.importRules(data.whitelist);
   }
 
-  console.log('[Background] Data imported successfully');
-}
+  // Import tracking exclusions
+  if (data.trackingExclusions) {
+    await resourceControls.trackingExclusions.importExclusions(data.trackingExclusions);
+    await resourceControls.purgeExcluded();
+  }
 
-// Cleanup on unload
-self.addEventListener('unload', async () => {
-  if (resourceControls) {
-    await resourceControls.saveTabData();
+  // Import schedules
+  if (data.schedules) {
+    for (const schedule of data.schedules) {
+      await scheduleManager.saveSchedule(schedule);
+    }
+    await applySchedule();
   }
-  if (keepAliveInterval) {
-    clearInterval(keepAliveInterval);
+
+  // Import category rules
+  if (data.categoryRules) {
+    await resourceControls.categorizer.importRules(data.categoryRules);
+    await resourceControls.recategorizeTabs();
   }
-});
+
+  console.log('[Background] Data imported successfully');
+}
 
 console.log('[Background] Service Worker v3.0 loaded');
\ No newline at end of file
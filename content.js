@@ -0,0 +1,67 @@
+/**
+ * Content Script - Tab memory reporter
+ * Đo memory của trang và gửi về background
+ */
+
+(() => {
+  /**
+   * Collect memory metrics of this page
+   */
+  async function collectMetrics() {
+    const metrics = {
+      method: 'none',
+      totalBytes: 0,
+      jsHeapBytes: 0,
+      domNodes: document.getElementsByTagName('*').length,
+      iframes: document.getElementsByTagName('iframe').length
+    };
+
+    // Precise API, only available on cross-origin isolated pages
+    if (self.crossOriginIsolated && typeof performance.measureUserAgentSpecificMemory === 'function') {
+      try {
+        const result = await performance.measureUserAgentSpecificMemory();
+        metrics.method = 'measureUserAgentSpecificMemory';
+        metrics.totalBytes = result.bytes;
+      } catch (e) {
+        // Fall through to performance.memory
+      }
+    }
+
+    if (performance.memory) {
+      metrics.jsHeapBytes = performance.memory.usedJSHeapSize;
+      if (metrics.method === 'none') {
+        metrics.method = 'performance.memory';
+      }
+    }
+
+    return metrics;
+  }
+
+  /**
+   * Push metrics to background
+   */
+  async function report() {
+    try {
+      const metrics = await collectMetrics();
+      await chrome.runtime.sendMessage({ action: 'reportTabMemory', metrics });
+    } catch (e) {
+      // Extension reloaded or background unavailable
+    }
+  }
+
+  // Answer on-demand measurement requests
+  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === 'collectTabMemory') {
+      collectMetrics().then(metrics => sendResponse({ metrics }));
+      return true;
+    }
+  });
+
+  // No polling: report on load and when the page is hidden, background pulls the rest
+  // (a timer in every tab would keep waking the service worker)
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') report();
+  });
+
+  report();
+})();
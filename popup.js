@@ -5,20 +5,34 @@
 class PopupController {
   constructor() {
     this.state = {
-      isLoading: false,
-      lastUpdate: 0,
-      updateThrottle: 2000
+      historyRange: 3600000,
+      live: {},
+      events: [],
+      temporaryRules: [],
+      importText: null
     };
     
     this.refs = {};
-    this.updateTimer = null;
+    this.port = null;
     this.toastTimer = null;
+    this.countdownTimer = null;
     
     // Bound methods
-    this.boundUpdateStats = this.updateStats.bind(this);
     this.boundApplySettings = this.applySettings.bind(this);
     this.boundCheckNow = this.checkNow.bind(this);
     this.boundResetStats = this.resetStats.bind(this);
+    this.boundSelectRange = this.selectRange.bind(this);
+    this.boundAddCategoryRule = this.addCategoryRule.bind(this);
+    this.boundRemoveCategoryRule = this.removeCategoryRule.bind(this);
+    this.boundExplainMatch = this.explainMatch.bind(this);
+    this.boundPreviewImport = this.previewImport.bind(this);
+    this.boundApplyImport = this.applyImport.bind(this);
+    this.boundResetImport = this.resetImport.bind(this);
+    this.boundParkTabs = this.parkTabs.bind(this);
+    this.boundHandleSessionAction = this.handleSessionAction.bind(this);
+    this.boundReloadLeakingTab = this.reloadLeakingTab.bind(this);
+    this.boundMergeDuplicates = this.mergeDuplicates.bind(this);
+    this.boundHandlePortMessage = this.handlePortMessage.bind(this);
   }
 
   /**
@@ -26,9 +40,13 @@ class PopupController {
    */
   async init() {
     this.cacheReferences();
+
+    // Open connection → background pushes snapshot/diffs and samples in burst mode
+    this.port = chrome.runtime.connect({ name: 'popup' });
+    this.port.onMessage.addListener(this.boundHandlePortMessage);
+
     await this.loadAndRender();
     this.bindEvents();
-    this.startAutoUpdate();
   }
 
   /**
@@ -42,18 +60,62 @@ class PopupController {
       ramBarFill: document.getElementById('ramBarFill'),
       usedRAM: document.getElementById('usedRAM'),
       availableRAM: document.getElementById('availableRAM'),
+      ramForecast: document.getElementById('ramForecast'),
       
       // Stats
       totalTabs: document.getElementById('totalTabs'),
       totalTabRAM: document.getElementById('totalTabRAM'),
       avgTabRAM: document.getElementById('avgTabRAM'),
       peakRAM: document.getElementById('peakRAM'),
+      checkInterval: document.getElementById('checkInterval'),
+      
+      // History
+      historyRange: document.getElementById('historyRange'),
+      historyChart: document.getElementById('historyChart'),
+      historySummary: document.getElementById('historySummary'),
       
       // Top Consumers
       topConsumers: document.getElementById('topConsumers'),
+      groupBreakdown: document.getElementById('groupBreakdown'),
+      eventList: document.getElementById('eventList'),
+      
+      // Leaks
+      leakSection: document.getElementById('leakSection'),
+      leakList: document.getElementById('leakList'),
+      
+      // Duplicates
+      duplicateSection: document.getElementById('duplicateSection'),
+      duplicateSummary: document.getElementById('duplicateSummary'),
+      duplicateList: document.getElementById('duplicateList'),
+      
+      // Sleep Rules
+      temporaryRules: document.getElementById('temporaryRules'),
+      ruleConflicts: document.getElementById('ruleConflicts'),
+      explainUrl: document.getElementById('explainUrl'),
+      explainMatch: document.getElementById('explainMatch'),
+      explainResult: document.getElementById('explainResult'),
+
+      // Import
+      importText: document.getElementById('importText'),
+      importList: document.getElementById('importList'),
+      previewImport: document.getElementById('previewImport'),
+      applyImport: document.getElementById('applyImport'),
+      importPreview: document.getElementById('importPreview'),
+      
+      // Category Rules
+      categoryRules: document.getElementById('categoryRules'),
+      sessionList: document.getElementById('sessionList'),
+      ruleCategory: document.getElementById('ruleCategory'),
+      ruleHostname: document.getElementById('ruleHostname'),
+      addCategoryRule: document.getElementById('addCategoryRule'),
       
       // Controls
+      scheduleInfo: document.getElementById('scheduleInfo'),
       ramLimit: document.getElementById('ramLimit'),
+      autoDiscard: document.getElementById('autoDiscard'),
+      optimalThreshold: document.getElementById('optimalThreshold'),
+      warningThreshold: document.getElementById('warningThreshold'),
+      emergencyThreshold: document.getElementById('emergencyThreshold'),
       applySettings: document.getElementById('applySettings'),
       checkNow: document.getElementById('checkNow'),
       resetStats: document.getElementById('resetStats'),
@@ -69,11 +131,24 @@ class PopupController {
   async loadAndRender() {
     try {
       // Load settings
-      const settings = await chrome.storage.local.get(['ramLimit']);
+      const settings = await chrome.storage.local.get([
+        'ramLimit',
+        'autoDiscard',
+        'optimalThreshold',
+        'warningThreshold',
+        'emergencyThreshold'
+      ]);
       this.refs.ramLimit.value = settings.ramLimit || 2000;
+      this.refs.autoDiscard.checked = settings.autoDiscard !== false;
+      this.refs.optimalThreshold.value = settings.optimalThreshold || 60;
+      this.refs.warningThreshold.value = settings.warningThreshold || 70;
+      this.refs.emergencyThreshold.value = settings.emergencyThreshold || 85;
 
-      // Update stats
-      await this.updateStats();
+      // Live data arrives over the port
+      await this.updateCategoryRules();
+      await this.updateTemporaryRules();
+      await this.updateRuleConflicts();
+      await this.updateSessions();
       
     } catch (error) {
       console.error('[Popup] Load error:', error);
@@ -82,42 +157,26 @@ class PopupController {
   }
 
   /**
-   * Update stats
+   * Render changed sections (snapshot = all sections)
    */
-  async updateStats() {
-    const now = Date.now();
-    
-    if (now - this.state.lastUpdate < this.state.updateThrottle) {
-      return;
-    }
-    
-    if (this.state.isLoading) return;
-    this.state.isLoading = true;
-    this.state.lastUpdate = now;
-
-    try {
-      const response = await this.sendMessage({ action: 'getStats' });
-      
-      if (!response.success || !response.data) {
-        throw new Error('Failed to get stats');
-      }
-
-      const { memory, tabs, performance } = response.data;
+  renderLive(changes) {
+    const live = this.state.live;
 
-      // Update RAM Card
-      this.updateRAMCard(memory);
-      
-      // Update Stats
-      this.updateStatsCards(tabs, performance);
-      
-      // Update Top Consumers
-      await this.updateTopConsumers();
+    if ('memory' in changes) {
+      this.updateRAMCard(live.memory);
+      this.updateHistory();
+    }
 
-    } catch (error) {
-      console.error('[Popup] Update error:', error);
-    } finally {
-      this.state.isLoading = false;
+    if ('tabs' in changes || 'performance' in changes) {
+      this.updateStatsCards(live.tabs, live.performance);
     }
+
+    if ('schedule' in changes) this.updateScheduleInfo(live.schedule);
+    if ('forecast' in changes) this.updateForecast(live.forecast);
+    if ('topDomains' in changes) this.updateTopConsumers(live.topDomains);
+    if ('windows' in changes || 'groups' in changes) this.updateGroupBreakdown(live.windows, live.groups);
+    if ('leaks' in changes) this.updateLeaks(live.leaks);
+    if ('duplicates' in changes) this.updateDuplicates(live.duplicates);
   }
 
   /**
@@ -146,68 +205,769 @@ class PopupController {
     if (!tabs) return;
 
     this.refs.totalTabs.textContent = tabs.total;
-    this.refs.totalTabRAM.textContent = tabs.totalRAM + ' MB';
-    this.refs.avgTabRAM.textContent = tabs.averageRAM + ' MB';
+    // '~' đánh dấu số liệu có phần ước lượng
+    const approx = tabs.ramSource === 'measured' ? '' : '~';
+    this.refs.totalTabRAM.textContent = approx + tabs.totalRAM + ' MB';
+    this.refs.totalTabRAM.title = `${tabs.measured}/${tabs.total} tabs measured`;
+    this.refs.avgTabRAM.textContent = approx + tabs.averageRAM + ' MB';
     
     if (performance) {
       this.refs.peakRAM.textContent = Math.round(performance.peakMemoryUsage) + '%';
+      this.refs.checkInterval.textContent = this.formatInterval(performance.monitorInterval) +
+        (performance.monitorMode === 'burst' ? ' (live)' : '');
     }
   }
 
+  /**
+   * Update history chart
+   */
+  async updateHistory() {
+    try {
+      const now = Date.now();
+      const response = await this.sendMessage({
+        action: 'getMemoryHistory',
+        from: now - this.state.historyRange,
+        to: now
+      });
+
+      if (!response.success || !response.data) {
+        return;
+      }
+
+      const { points, tier } = response.data;
+
+      if (points.length === 0) {
+        this.refs.historyChart.innerHTML = '';
+        this.refs.historySummary.textContent = 'No data yet';
+        return;
+      }
+
+      // Downsample to fit the chart width
+      const step = Math.ceil(points.length / 60);
+      const bars = points.filter((_, i) => i % step === 0);
+
+      this.refs.historyChart.innerHTML = bars
+        .map(p => `<div class="history-bar" style="height: ${p.usagePercent.avg}%" title="${new Date(p.t).toLocaleString()}: ${p.usagePercent.avg}% (min ${p.usagePercent.min}%, max ${p.usagePercent.max}%)"></div>`)
+        .join('');
+
+      const min = Math.min(...points.map(p => p.usagePercent.min));
+      const max = Math.max(...points.map(p => p.usagePercent.max));
+      const avg = points.reduce((sum, p) => sum + p.usagePercent.avg, 0) / points.length;
+
+      this.refs.historySummary.textContent =
+        `Min ${min}% · Avg ${avg.toFixed(1)}% · Max ${max}% (${tier})`;
+
+    } catch (error) {
+      console.error('[Popup] History error:', error);
+    }
+  }
+
+  /**
+   * Select history range
+   */
+  async selectRange(event) {
+    const button = event.target.closest('.range-btn');
+    if (!button) return;
+
+    this.state.historyRange = parseInt(button.dataset.range);
+
+    for (const btn of this.refs.historyRange.querySelectorAll('.range-btn')) {
+      btn.classList.toggle('active', btn === button);
+    }
+
+    await this.updateHistory();
+  }
+
+  /**
+   * Update active schedule line
+   */
+  updateScheduleInfo(schedule) {
+    const active = schedule?.active;
+
+    if (!active) {
+      this.refs.scheduleInfo.textContent = '';
+      return;
+    }
+
+    const until = active.until
+      ? ' until ' + new Date(active.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : '';
+    this.refs.scheduleInfo.textContent =
+      `Schedule "${active.name}" active${until} (overrides: ${schedule.overriddenKeys.join(', ')})`;
+  }
+
+  /**
+   * Format interval (ms) for display
+   */
+  formatInterval(ms) {
+    if (!ms) return '--';
+    return ms < 60000 ? Math.round(ms / 1000) + 's' : (ms / 60000).toFixed(ms % 60000 ? 1 : 0) + 'm';
+  }
+
   /**
    * Update top consumers
    */
-  async updateTopConsumers() {
+  updateTopConsumers(topDomains) {
+    if (!topDomains || topDomains.length === 0) {
+      this.refs.topConsumers.innerHTML = '<div class="empty-state">No data yet</div>';
+      return;
+    }
+
+    this.refs.topConsumers.innerHTML = topDomains
+      .slice(0, 5)
+      .map(item => `
+        <div class="consumer-item">
+          <div class="consumer-name">${item.domain}</div>
+          <div class="consumer-ram" title="${item.ramSource}">${item.ramSource === 'measured' ? '' : '~'}${item.ram} MB</div>
+        </div>
+      `).join('');
+  }
+
+  /**
+   * Update forecast line
+   */
+  updateForecast(forecast) {
+    if (!forecast || forecast.etaMinutes === null || forecast.etaMinutes === 0) {
+      this.refs.ramForecast.textContent = '';
+      return;
+    }
+
+    this.refs.ramForecast.textContent =
+      `Trend: +${forecast.slopePerMinute}%/min · ~${Math.ceil(forecast.etaMinutes)} min to ${forecast.threshold}% ` +
+      `(confidence ${Math.round(forecast.confidence * 100)}%)`;
+  }
+
+  /**
+   * Update per-window / per-group breakdown
+   */
+  updateGroupBreakdown(windows, groups) {
+    if (!windows || windows.length === 0) {
+      this.refs.groupBreakdown.innerHTML = '<div class="empty-state">No data yet</div>';
+      return;
+    }
+
+    const groupItems = (groups || []).map(group => `
+      <div class="consumer-item">
+        <div class="consumer-name">${this.escapeHTML(group.title)}<span class="consumer-meta">${group.tabCount} tabs · avg ${group.averageRAM} MB</span></div>
+        <div class="consumer-ram" title="${group.ramSource}">${group.ramSource === 'measured' ? '' : '~'}${group.totalRAM} MB</div>
+        <button class="btn-action" data-park-group="${group.groupId}" data-tab-count="${group.tabCount}">Park</button>
+      </div>
+    `);
+
+    const windowItems = windows.map((win, i) => `
+      <div class="consumer-item">
+        <div class="consumer-name">Window ${i + 1}<span class="consumer-meta">${win.tabCount} tabs · avg ${win.averageRAM} MB</span></div>
+        <div class="consumer-ram" title="${win.ramSource}">${win.ramSource === 'measured' ? '' : '~'}${win.totalRAM} MB</div>
+        <button class="btn-action" data-park-window="${win.windowId}" data-tab-count="${win.tabCount}">Park</button>
+      </div>
+    `);
+
+    this.refs.groupBreakdown.innerHTML = groupItems.concat(windowItems).join('');
+  }
+
+  /**
+   * Update leak list with growth curves
+   */
+  updateLeaks(leaks) {
+    if (!leaks || leaks.length === 0) {
+      this.refs.leakSection.style.display = 'none';
+      return;
+    }
+
+    this.refs.leakSection.style.display = '';
+    this.refs.leakList.innerHTML = leaks
+      .map(leak => `
+        <div class="consumer-item leak-item">
+          <div class="consumer-name">${this.escapeHTML(leak.title)}<span class="consumer-meta">+${leak.growthMB} MB in ${leak.durationMinutes} min (${leak.slopeMBPerMin} MB/min)</span></div>
+          <button class="btn-remove" data-tab-id="${leak.tabId}">Reload</button>
+          ${this.renderCurve(leak.curve)}
+        </div>
+      `).join('');
+  }
+
+  /**
+   * Update duplicate tab sets
+   */
+  updateDuplicates(duplicates) {
+    if (!duplicates || duplicates.sets.length === 0) {
+      this.refs.duplicateSection.style.display = 'none';
+      return;
+    }
+
+    this.refs.duplicateSection.style.display = '';
+    this.refs.duplicateSummary.textContent =
+      `${duplicates.duplicateTabs} extra copies · ~${duplicates.savingsMB} MB`;
+    this.refs.duplicateList.innerHTML = duplicates.sets
+      .map(set => `
+        <div class="consumer-item">
+          <div class="consumer-name" title="${this.escapeHTML(set.normalizedUrl)}">${this.escapeHTML(set.title)}<span class="consumer-meta">${set.count} copies${set.exact ? '' : ' (normalized)'}</span></div>
+          <div class="consumer-ram">${set.savingsMB} MB</div>
+          <button class="btn-action" data-normalized-url="${this.escapeHTML(set.normalizedUrl)}"${set.duplicateTabIds.length === 0 ? ' disabled' : ''}>Merge</button>
+        </div>
+      `).join('');
+  }
+
+  /**
+   * Merge one duplicate set, or all (header button)
+   */
+  async mergeDuplicates(event) {
+    const button = event.target.closest('[data-normalized-url], #mergeAllDuplicates');
+    if (!button) return;
+
+    const response = await this.sendMessage({
+      action: 'mergeDuplicates',
+      normalizedUrl: button.dataset.normalizedUrl
+    });
+
+    if (!response.success) {
+      this.showToast(response.error || 'Merge failed');
+      return;
+    }
+
+    this.showToast(`Closed ${response.data.closedTabs} duplicate tabs, freed ~${response.data.savedMB} MB`);
+  }
+
+  /**
+   * Render growth curve as inline SVG
+   */
+  renderCurve(curve) {
+    const t0 = curve[0].t;
+    const span = (curve[curve.length - 1].t - t0) || 1;
+    const rams = curve.map(p => p.ram);
+    const min = Math.min(...rams);
+    const range = (Math.max(...rams) - min) || 1;
+
+    const points = curve
+      .map(p => `${((p.t - t0) / span * 100).toFixed(1)},${(30 - (p.ram - min) / range * 28 - 1).toFixed(1)}`)
+      .join(' ');
+
+    return `<svg class="leak-curve" viewBox="0 0 100 30" preserveAspectRatio="none"><polyline points="${points}"/></svg>`;
+  }
+
+  /**
+   * Reload a leaking tab
+   */
+  async reloadLeakingTab(event) {
+    const button = event.target.closest('[data-tab-id]');
+    if (!button) return;
+
+    await this.sendMessage({ action: 'reloadTab', tabId: parseInt(button.dataset.tabId) });
+    this.showToast('Tab reloaded');
+    button.closest('.leak-item').remove();
+  }
+
+  /**
+   * Messages pushed từ background (PopupChannel)
+   */
+  handlePortMessage(message) {
+    switch (message.type) {
+      case 'snapshot':
+        this.state.live = { ...message.changes };
+        this.renderLive(message.changes);
+        break;
+
+      case 'diff':
+        Object.assign(this.state.live, message.changes);
+        this.renderLive(message.changes);
+        break;
+
+      case 'events':
+        this.state.events = message.events;
+        this.updateEvents();
+        break;
+
+      case 'event':
+        this.state.events = [...this.state.events, message.event].slice(-10);
+        this.updateEvents();
+
+        if (message.event.type === 'rules_changed') {
+          if (message.event.payload.source === 'category') {
+            this.updateCategoryRules();
+          } else {
+            this.updateTemporaryRules();
+            this.updateRuleConflicts();
+          }
+        }
+        break;
+    }
+  }
+
+  /**
+   * Render recent events (newest first)
+   */
+  updateEvents() {
+    const events = this.state.events;
+
+    if (events.length === 0) {
+      this.refs.eventList.innerHTML = '<div class="empty-state">No events yet</div>';
+      return;
+    }
+
+    this.refs.eventList.innerHTML = events
+      .slice()
+      .reverse()
+      .map(event => `
+        <div class="consumer-item">
+          <div class="consumer-name">${this.escapeHTML(this.describeEvent(event))}<span class="consumer-meta">${event.type}</span></div>
+          <div class="consumer-meta">${new Date(event.timestamp).toLocaleTimeString()}</div>
+        </div>
+      `).join('');
+  }
+
+  /**
+   * Human-readable event text
+   */
+  describeEvent(event) {
+    const { payload } = event;
+
+    switch (event.type) {
+      case 'status_changed':
+        return `Status ${payload.from} → ${payload.to} (${payload.memory.usagePercent}%)`;
+      case 'threshold_crossed':
+        return `${payload.direction === 'up' ? 'Above' : 'Below'} ${payload.value}% (${payload.usagePercent}%)`;
+      case 'forecast_warning':
+        return payload.active
+          ? `Forecast: ~${Math.ceil(payload.forecast.etaMinutes)} min to ${payload.forecast.threshold}%`
+          : 'Forecast warning cleared';
+      case 'tab_created':
+        return 'Tab opened' + (payload.url ? ': ' + payload.url : '');
+      case 'tab_discarded':
+        return `Discarded ${payload.title || payload.domain} (${payload.ram} MB)`;
+      case 'rules_changed':
+        if (payload.source === 'tracking') return 'Tracking exclusions updated';
+        return `${payload.source === 'category' ? 'Category' : 'Whitelist'} rules updated`;
+      case 'config_changed':
+        return payload.source === 'schedule'
+          ? 'Schedule: ' + (payload.schedule?.name || 'default')
+          : 'Settings updated';
+      default:
+        return event.type;
+    }
+  }
+
+  /**
+   * Load temporary rules, countdown ticks locally
+   */
+  async updateTemporaryRules() {
     try {
-      const response = await this.sendMessage({ action: 'getRAMAnalysis' });
-      
+      const response = await this.sendMessage({ action: 'getLists' });
+
+      if (!response.success || !response.data) {
+        return;
+      }
+
+      this.state.temporaryRules = response.data.temporary || [];
+      this.renderTemporaryRules();
+
+      if (this.state.temporaryRules.length > 0 && !this.countdownTimer) {
+        this.countdownTimer = setInterval(() => this.renderTemporaryRules(), 1000);
+      } else if (this.state.temporaryRules.length === 0 && this.countdownTimer) {
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = null;
+      }
+
+    } catch (error) {
+      console.error('[Popup] Temporary rules error:', error);
+    }
+  }
+
+  /**
+   * Render temporary rules với countdown
+   */
+  renderTemporaryRules() {
+    this.refs.temporaryRules.innerHTML = this.state.temporaryRules
+      .map(entry => `
+        <div class="consumer-item">
+          <div class="consumer-name">${this.escapeHTML(entry.rule)}<span class="consumer-meta">${entry.list}</span></div>
+          <div class="consumer-meta">${this.formatRemaining(entry.expiresAt - Date.now())}</div>
+        </div>
+      `).join('');
+  }
+
+  /**
+   * Format countdown (ms) for display
+   */
+  formatRemaining(ms) {
+    if (ms <= 0) return 'expiring';
+
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    return hours > 0
+      ? `${hours}h ${String(minutes).padStart(2, '0')}m left`
+      : `${minutes}m ${String(seconds).padStart(2, '0')}s left`;
+  }
+
+  /**
+   * Update whitelist/blacklist conflicts
+   */
+  async updateRuleConflicts() {
+    try {
+      const response = await this.sendMessage({ action: 'getRuleConflicts' });
+
       if (!response.success || !response.data) {
         return;
       }
 
-      const { topDomains } = response.data;
+      if (response.data.length === 0) {
+        this.refs.ruleConflicts.innerHTML = '<div class="empty-state">No rule conflicts</div>';
+        return;
+      }
+
+      this.refs.ruleConflicts.innerHTML = response.data
+        .map(conflict => `
+          <div class="consumer-item">
+            <div class="consumer-name">${this.escapeHTML(conflict.message)}<span class="consumer-meta">${conflict.type.replace('_', ' ')}</span></div>
+          </div>
+        `).join('');
+
+    } catch (error) {
+      console.error('[Popup] Rule conflicts error:', error);
+    }
+  }
 
-      if (!topDomains || topDomains.length === 0) {
-        this.refs.topConsumers.innerHTML = '<div class="empty-state">No data yet</div>';
+  /**
+   * Explain which rule matches a URL (blank = current tab)
+   */
+  async explainMatch() {
+    const url = this.refs.explainUrl.value.trim();
+    let request = { action: 'explainMatch', url };
+
+    if (!url) {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab) return;
+      request = { action: 'explainMatch', tabId: tab.id };
+    }
+
+    const response = await this.sendMessage(request);
+
+    if (!response.success) {
+      this.showToast(response.error || 'Failed to explain match');
+      return;
+    }
+
+    const { reason, matches } = response.data;
+
+    this.refs.explainResult.innerHTML = `
+      <div class="consumer-item">
+        <div class="consumer-name">${this.escapeHTML(reason)}</div>
+      </div>
+    ` + matches
+      .map(match => `
+        <div class="consumer-item">
+          <div class="consumer-name">${this.escapeHTML(match.rule)}<span class="consumer-meta">${match.kind}</span></div>
+          <div class="consumer-meta">${match.list}</div>
+        </div>
+      `).join('');
+  }
+
+  /**
+   * Preview import (không thay đổi gì)
+   */
+  async previewImport() {
+    const text = this.refs.importText.value;
+    if (!text.trim()) {
+      this.showToast('Paste an export to import');
+      return;
+    }
+
+    const response = await this.sendMessage({ action: 'previewImport', text, list: this.refs.importList.value });
+
+    if (!response.success) {
+      this.resetImport();
+      this.showToast(response.error || 'Failed to read import');
+      return;
+    }
+
+    const { format, summary, rules, skipped, conflicts, sessions } = response.data;
+
+    // Import applies exactly what was previewed
+    this.state.importText = text;
+    this.refs.applyImport.disabled = summary.rules + summary.budgets + summary.sessions === 0;
+
+    const item = (name, meta) => `
+      <div class="consumer-item">
+        <div class="consumer-name">${this.escapeHTML(name)}<span class="consumer-meta">${this.escapeHTML(meta)}</span></div>
+      </div>
+    `;
+
+    this.refs.importPreview.innerHTML = [
+      item(format, `${summary.rules} rules · ${summary.budgets} budgets · ${summary.sessions} sessions (${summary.tabs} tabs) · ${summary.skipped} skipped · ${summary.conflicts} conflicts`),
+      ...rules.map(entry => item(entry.rule, entry.expiresAt
+        ? `add to ${entry.list} until ${new Date(entry.expiresAt).toLocaleString()}`
+        : 'add to ' + entry.list)),
+      ...sessions.map(session => item(session.name, `new session · ${session.tabCount} tabs`)),
+      ...conflicts.map(conflict => item(conflict.message, conflict.type.replace('_', ' '))),
+      ...skipped.map(entry => item(entry.input, 'skipped: ' + entry.reason))
+    ].join('');
+  }
+
+  /**
+   * Apply previewed import
+   */
+  async applyImport() {
+    if (this.state.importText === null) return;
+
+    const response = await this.sendMessage({
+      action: 'applyImport',
+      text: this.state.importText,
+      list: this.refs.importList.value
+    });
+
+    if (!response.success) {
+      this.showToast(response.error || 'Import failed');
+      return;
+    }
+
+    const { added, sessions } = response.data;
+    this.refs.importText.value = '';
+    this.resetImport();
+    this.showToast(`Imported ${added} rules, ${sessions.length} sessions`);
+
+    await this.updateTemporaryRules();
+    await this.updateRuleConflicts();
+    await this.updateSessions();
+  }
+
+  /**
+   * Input changed → preview cũ không còn đúng
+   */
+  resetImport() {
+    this.state.importText = null;
+    this.refs.applyImport.disabled = true;
+    this.refs.importPreview.innerHTML = '';
+  }
+
+  /**
+   * Update category rules list
+   */
+  async updateCategoryRules() {
+    try {
+      const response = await this.sendMessage({ action: 'getCategoryRules' });
+
+      if (!response.success || !response.data) {
+        return;
+      }
+
+      const { userRules } = response.data;
+
+      if (userRules.length === 0) {
+        this.refs.categoryRules.innerHTML = '<div class="empty-state">No custom rules</div>';
         return;
       }
 
-      this.refs.topConsumers.innerHTML = topDomains
-        .slice(0, 5)
-        .map(item => `
+      this.refs.categoryRules.innerHTML = userRules
+        .map(rule => `
           <div class="consumer-item">
-            <div class="consumer-name">${item.domain}</div>
-            <div class="consumer-ram">${item.ram} MB</div>
+            <div class="consumer-name">${this.escapeHTML(rule.category)}<span class="consumer-meta">${this.escapeHTML([rule.hostname, rule.path, rule.title].filter(Boolean).join(' · '))}</span></div>
+            <button class="btn-remove" data-rule-id="${this.escapeHTML(rule.id)}">Remove</button>
+          </div>
+        `).join('');
+
+    } catch (error) {
+      console.error('[Popup] Category rules error:', error);
+    }
+  }
+
+  /**
+   * Add category rule
+   */
+  async addCategoryRule() {
+    const category = this.refs.ruleCategory.value.trim();
+    const hostname = this.refs.ruleHostname.value.trim();
+
+    if (!category || !hostname) {
+      this.showToast('Category and hostname are required');
+      return;
+    }
+
+    const response = await this.sendMessage({
+      action: 'addCategoryRule',
+      rule: { category, hostname }
+    });
+
+    if (!response.success) {
+      this.showToast(response.error || 'Failed to add rule');
+      return;
+    }
+
+    this.refs.ruleCategory.value = '';
+    this.refs.ruleHostname.value = '';
+    this.showToast('Rule added');
+    await this.updateCategoryRules();
+  }
+
+  /**
+   * Remove category rule
+   */
+  async removeCategoryRule(event) {
+    const button = event.target.closest('[data-rule-id]');
+    if (!button) return;
+
+    await this.sendMessage({ action: 'removeCategoryRule', id: button.dataset.ruleId });
+    this.showToast('Rule removed');
+    await this.updateCategoryRules();
+  }
+
+  /**
+   * Park a window / tab group: snapshot as session và đóng tabs
+   */
+  async parkTabs(event) {
+    const button = event.target.closest('[data-park-group], [data-park-window]');
+    if (!button) return;
+
+    if (!confirm(`Close ${button.dataset.tabCount} tabs and save them as a session?`)) {
+      return;
+    }
+
+    const target = button.dataset.parkGroup !== undefined
+      ? { groupId: parseInt(button.dataset.parkGroup) }
+      : { windowId: parseInt(button.dataset.parkWindow) };
+
+    const response = await this.sendMessage({ action: 'createSession', ...target, close: true });
+
+    if (!response.success) {
+      this.showToast(response.error || 'Failed to park tabs');
+      return;
+    }
+
+    this.showToast(`Parked ${response.data.tabCount} tabs, freed ~${response.data.freedRAM} MB`);
+    await this.updateSessions();
+  }
+
+  /**
+   * Update saved sessions list
+   */
+  async updateSessions() {
+    try {
+      const response = await this.sendMessage({ action: 'getSessions' });
+
+      if (!response.success || !response.data) {
+        return;
+      }
+
+      if (response.data.length === 0) {
+        this.refs.sessionList.innerHTML = '<div class="empty-state">No saved sessions</div>';
+        return;
+      }
+
+      this.refs.sessionList.innerHTML = response.data
+        .map(session => `
+          <div class="consumer-item" data-session-id="${this.escapeHTML(session.id)}">
+            <div class="consumer-name" title="${this.escapeHTML(session.name)}">${this.escapeHTML(session.name)}<span class="consumer-meta">${session.tabCount} tabs · ${session.totalRAM} MB${session.freedRAM ? ` · freed ${session.freedRAM} MB` : ''}</span></div>
+            <button class="btn-action" data-session-action="restore">Restore</button>
+            <button class="btn-action" data-session-action="rename">Rename</button>
+            <button class="btn-action" data-session-action="export">Export</button>
+            <button class="btn-remove" data-session-action="remove">Remove</button>
           </div>
         `).join('');
 
     } catch (error) {
-      console.error('[Popup] Top consumers error:', error);
+      console.error('[Popup] Sessions error:', error);
     }
   }
 
+  /**
+   * Restore / rename / export / remove session
+   */
+  async handleSessionAction(event) {
+    const button = event.target.closest('[data-session-action]');
+    if (!button) return;
+
+    const id = button.closest('[data-session-id]').dataset.sessionId;
+    let response;
+
+    switch (button.dataset.sessionAction) {
+      case 'restore':
+        response = await this.sendMessage({ action: 'restoreSession', id });
+        if (response.success) this.showToast(`Restored ${response.data.tabIds.length} tabs`);
+        break;
+
+      case 'rename':
+        const name = prompt('Session name');
+        if (!name) return;
+        response = await this.sendMessage({ action: 'renameSession', id, name });
+        break;
+
+      case 'export':
+        response = await this.sendMessage({ action: 'exportSession', id });
+        if (response.success) this.download(`session-${id}.json`, response.data);
+        break;
+
+      case 'remove':
+        if (!confirm('Remove this session?')) return;
+        response = await this.sendMessage({ action: 'removeSession', id });
+        break;
+    }
+
+    if (!response.success) {
+      this.showToast(response.error || 'Session action failed');
+      return;
+    }
+
+    await this.updateSessions();
+  }
+
+  /**
+   * Download text as file
+   */
+  download(filename, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Escape text for innerHTML
+   */
+  escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   /**
    * Apply settings
    */
   async applySettings() {
     const ramLimit = parseInt(this.refs.ramLimit.value);
+    const autoDiscard = this.refs.autoDiscard.checked;
+    const optimalThreshold = parseInt(this.refs.optimalThreshold.value);
+    const warningThreshold = parseInt(this.refs.warningThreshold.value);
+    const emergencyThreshold = parseInt(this.refs.emergencyThreshold.value);
 
     if (ramLimit < 1000 || ramLimit > 5000) {
       this.showToast('RAM limit must be 1000-5000 MB');
       return;
     }
 
+    if (!(optimalThreshold < warningThreshold && warningThreshold < emergencyThreshold)) {
+      this.showToast('Thresholds must be optimal < warning < critical');
+      return;
+    }
+
     try {
       this.refs.applySettings.disabled = true;
       this.refs.applySettings.innerHTML = '<span class="loading-spinner"></span> Applying...';
 
-      await this.sendMessage({
+      const response = await this.sendMessage({
         action: 'updateSettings',
-        settings: { ramLimit }
+        settings: { ramLimit, autoDiscard, optimalThreshold, warningThreshold, emergencyThreshold }
       });
 
+      if (!response.success) {
+        this.showToast(response.error || 'Failed to save settings');
+        return;
+      }
+
       this.showToast('Settings saved');
-      await this.updateStats();
 
     } catch (error) {
       console.error('[Popup] Apply error:', error);
@@ -229,7 +989,6 @@ class PopupController {
       await this.sendMessage({ action: 'monitorRAM' });
       
       this.showToast('RAM check complete');
-      await this.updateStats();
 
     } catch (error) {
       console.error('[Popup] Check error:', error);
@@ -254,7 +1013,6 @@ class PopupController {
       await this.sendMessage({ action: 'resetStats' });
       
       this.showToast('Statistics reset');
-      await this.updateStats();
       
     } catch (error) {
       console.error('[Popup] Reset error:', error);
@@ -292,28 +1050,6 @@ class PopupController {
     });
   }
 
-  /**
-   * Start auto-update
-   */
-  startAutoUpdate() {
-    if (this.updateTimer) {
-      clearInterval(this.updateTimer);
-    }
-
-    // Update every 3 seconds
-    this.updateTimer = setInterval(this.boundUpdateStats, 3000);
-  }
-
-  /**
-   * Stop auto-update
-   */
-  stopAutoUpdate() {
-    if (this.updateTimer) {
-      clearInterval(this.updateTimer);
-      this.updateTimer = null;
-    }
-  }
-
   /**
    * Bind events
    */
@@ -321,21 +1057,53 @@ class PopupController {
     this.refs.applySettings.addEventListener('click', this.boundApplySettings);
     this.refs.checkNow.addEventListener('click', this.boundCheckNow);
     this.refs.resetStats.addEventListener('click', this.boundResetStats);
+    this.refs.historyRange.addEventListener('click', this.boundSelectRange);
+    this.refs.addCategoryRule.addEventListener('click', this.boundAddCategoryRule);
+    this.refs.categoryRules.addEventListener('click', this.boundRemoveCategoryRule);
+    this.refs.explainMatch.addEventListener('click', this.boundExplainMatch);
+    this.refs.previewImport.addEventListener('click', this.boundPreviewImport);
+    this.refs.applyImport.addEventListener('click', this.boundApplyImport);
+    this.refs.importText.addEventListener('input', this.boundResetImport);
+    this.refs.importList.addEventListener('change', this.boundResetImport);
+    this.refs.groupBreakdown.addEventListener('click', this.boundParkTabs);
+    this.refs.sessionList.addEventListener('click', this.boundHandleSessionAction);
+    this.refs.leakList.addEventListener('click', this.boundReloadLeakingTab);
+    this.refs.duplicateSection.addEventListener('click', this.boundMergeDuplicates);
   }
 
   /**
    * Cleanup
    */
   cleanup() {
-    this.stopAutoUpdate();
+    if (this.port) {
+      this.port.onMessage.removeListener(this.boundHandlePortMessage);
+      this.port.disconnect();
+      this.port = null;
+    }
     
     if (this.toastTimer) {
       clearTimeout(this.toastTimer);
     }
 
+    if (this.countdownTimer) {
+      clearInterval(this.countdownTimer);
+    }
+
     this.refs.applySettings.removeEventListener('click', this.boundApplySettings);
     this.refs.checkNow.removeEventListener('click', this.boundCheckNow);
     this.refs.resetStats.removeEventListener('click', this.boundResetStats);
+    this.refs.historyRange.removeEventListener('click', this.boundSelectRange);
+    this.refs.addCategoryRule.removeEventListener('click', this.boundAddCategoryRule);
+    this.refs.categoryRules.removeEventListener('click', this.boundRemoveCategoryRule);
+    this.refs.explainMatch.removeEventListener('click', this.boundExplainMatch);
+    this.refs.previewImport.removeEventListener('click', this.boundPreviewImport);
+    this.refs.applyImport.removeEventListener('click', this.boundApplyImport);
+    this.refs.importText.removeEventListener('input', this.boundResetImport);
+    this.refs.importList.removeEventListener('change', this.boundResetImport);
+    this.refs.groupBreakdown.removeEventListener('click', this.boundParkTabs);
+    this.refs.sessionList.removeEventListener('click', this.boundHandleSessionAction);
+    this.refs.leakList.removeEventListener('click', this.boundReloadLeakingTab);
+    this.refs.duplicateSection.removeEventListener('click', this.boundMergeDuplicates);
     
     this.refs = null;
     this.state = null;